@@ -45,6 +45,80 @@ const CONFIG_SEED = {
     ]
 };
 
+// Structured values (quantity, unit...) are kept on the last line of the card
+// description after this marker, so every device reads the same value
+const CARD_META_PREFIX = '[ShoppingList] ';
+// History comments ("Ana añadió ...") start with the same marker
+const HISTORY_COMMENT_PREFIX = '[ShoppingList] ';
+
+const QUANTITY_UNITS = ['uds', 'kg', 'g', 'L', 'packs'];
+
+// Replenishment: purchases needed before an interval is trusted, how often the
+// board's history comments are mined again, and how early a product is "due soon"
+const REPLENISH_MIN_PURCHASES = 3;
+const REPLENISH_REFRESH_MS = 60 * 60 * 1000;
+const REPLENISH_SOON_RATIO = 0.2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prices kept per store on each card; older ones are dropped to keep the description small
+const MAX_PRICES_PER_STORE = 10;
+
+// Pick order: a sequence of ticks at one store ends after this long without
+// one (or when the trip is finished); the last few sequences are kept per store
+const PICK_SESSION_GAP_MS = 2 * 60 * 60 * 1000;
+const PICK_ORDER_MAX_TRIPS = 20;
+
+// Quick add: words accepted as units (normalized) and the getSimilarProducts
+// score from which a product is suggested (only an exact name is reused as is)
+const QUICK_ADD_UNITS = {
+    u: 'uds', ud: 'uds', uds: 'uds', unidad: 'uds', unidades: 'uds',
+    kg: 'kg', kilo: 'kg', kilos: 'kg',
+    g: 'g', gr: 'g', gramos: 'g',
+    l: 'L', litro: 'L', litros: 'L',
+    pack: 'packs', packs: 'packs'
+};
+const QUICK_ADD_SUGGESTION_SCORE = 70;
+
+// CSV import/export: columns (header aliases are normalized, see parseCsvProducts),
+// the separator Spanish Excel uses and the one between several stores or locations
+const CSV_COLUMNS = ['name', 'description', 'stores', 'locations', 'inList'];
+// (the English ones also cover other apps' exports: a category becomes the location)
+const CSV_HEADER_ALIASES = {
+    name: ['name', 'nombre', 'producto', 'item', 'product', 'title', 'articulo'],
+    description: ['description', 'desc', 'descripcion', 'notas', 'nota', 'note', 'notes', 'details', 'specification'],
+    stores: ['stores', 'tiendas', 'tienda', 'store', 'shop'],
+    locations: ['locations', 'ubicaciones', 'ubicacion', 'category', 'categoria', 'aisle', 'pasillo', 'seccion'],
+    inList: ['inlist', 'enlista', 'en lista', 'lista'],
+    quantity: ['quantity', 'qty', 'amount', 'cantidad'],
+    checked: ['checked', 'done', 'completed', 'crossed off', 'purchased', 'comprado', 'tachado']
+};
+const CSV_SEPARATOR = ';';
+const CSV_VALUE_SEPARATOR = '|';
+// Cells starting like a formula get a leading ' on export so a spreadsheet
+// shows them as text instead of running them; the import strips it again
+const CSV_FORMULA_START = /^[=+\-@]/;
+
+// What an import does with a product that already exists (by name)
+const IMPORT_STRATEGIES = {
+    skip: 'Omitir',
+    overwrite: 'Sobrescribir',
+    merge: 'Combinar etiquetas',
+    copy: 'Crear copia'
+};
+
+// How long the undo snackbar holds back a toggle or delete before writing it
+const UNDO_WINDOW_MS = 5000;
+
+// Days a deleted product stays in the Papelera before it is deleted for good (0 = never)
+const TRASH_PURGE_DAYS_DEFAULT = 30;
+const TRASH_PURGE_DAYS_OPTIONS = [7, 30, 90, 0];
+
+// Full backup: what backup.json says it is, and the marker restored history
+// comments end with so they keep the date they were first recorded on
+const BACKUP_TYPE = 'shopping-list-backup';
+const BACKUP_VERSION = 1;
+const HISTORY_DATE_MARKER = / @(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)$/;
+
 class TrelloShoppingApp {
     constructor() {
         console.log('🚀 TrelloShoppingApp inicializando...');
@@ -55,6 +129,7 @@ class TrelloShoppingApp {
 
         this.apiKey = localStorage.getItem('trello_api_key') || '';
         this.apiToken = localStorage.getItem('trello_api_token') || '';
+        this.backendType = localStorage.getItem('shopping_list_backend') || 'trello'; // 'trello' or 'local'
         this.selectedBoardId = localStorage.getItem('trello_board_id') || '';
         this.currentUserName = localStorage.getItem('shopping_list_user_name') || '';
         this.isOnline = navigator.onLine;
@@ -64,10 +139,14 @@ class TrelloShoppingApp {
         this.pendingSyncTimer = null;
         this.backgroundRefreshTimer = null;
         this.backgroundRefreshMs = 8000;
+        this.lastActionId = null; // Newest board action already applied locally
+        this.deltaActionLimit = 50; // A full page of actions may hide a gap: reload everything
+        this.deltaMaxCards = 25; // Refetching more cards than this one by one is slower than a full reload
 
         console.log('📦 Estado inicial:', {
             hasApiKey: !!this.apiKey,
             hasToken: !!this.apiToken,
+            backend: this.backendType,
             hasBoardId: !!this.selectedBoardId
         });
 
@@ -91,69 +170,174 @@ class TrelloShoppingApp {
         // Cache for image blob URLs
         this.imageCache = new Map();
 
-        // Recent products tracking (last 10 marked as purchased)
-        this.recentProducts = this.loadRecentProducts();
+        // Recent products tracking (last 10 marked as purchased), loaded from IndexedDB in init()
+        this.recentProducts = [];
+
+        // Board cache, pending queues and recent products live in IndexedDB (storage.js).
+        // Queues are mirrored in memory so they can be read synchronously; every
+        // save replaces the in-memory copy and persists it in one transaction.
+        this.storage = new ShoppingListStorage();
+        this.pendingQueues = { operations: [], moves: [], history: [], conflicts: [] };
+
+        this.backend = this.createBackend();
+
+        // Toggle or delete shown by the undo snackbar and not yet final (see Undo)
+        this.pendingUndo = null;
+
+        // Shopping trip in progress on this device: { storeId, startedAt, user, cart } (see Shopping Trips)
+        this.trip = null;
+
+        // Order products are ticked off in at each store, per store (see Pick Order)
+        this.pickOrder = {};
+
+        // Purchase intervals learned from the history comments, per card (see Replenishment)
+        this.replenishment = { boardId: null, learnedAt: 0, stats: {} };
+
+        // Import / delete-all job currently running in this tab (see Bulk Jobs)
+        this.activeBulkJob = null;
+        this.bulkJobCancelRequested = false;
+
+        // Files of the backup being restored, read once per job (see Full Backup)
+        this.restoreArchive = null;
 
         this.init();
     }
 
-    getBoardCacheKey(boardId = this.selectedBoardId) {
-        return `trello_board_cache_${boardId}`;
-    }
+    // Trello unless the user chose to keep everything on this device (backends.js)
+    createBackend() {
+        if (this.backendType === 'local') {
+            return new LocalBackend(this.storage);
+        }
 
-    getPendingMovesKey(boardId = this.selectedBoardId) {
-        return `trello_pending_card_moves_${boardId}`;
+        return new TrelloBackend({
+            apiKey: this.apiKey,
+            apiToken: this.apiToken,
+            onUnauthorized: () => this.logout()
+        });
     }
 
-    getPendingHistoryKey(boardId = this.selectedBoardId) {
-        return `trello_pending_card_history_${boardId}`;
+    isLoggedIn() {
+        return this.backendType === 'local' || !!(this.apiKey && this.apiToken);
     }
 
-    loadPendingMoves() {
-        if (!this.selectedBoardId) return [];
+    async loadLocalState() {
         try {
-            return JSON.parse(localStorage.getItem(this.getPendingMovesKey()) || '[]');
+            await this.storage.migrateFromLocalStorage();
+            this.recentProducts = await this.loadRecentProducts();
+            await this.loadPendingQueues();
+            await this.loadTrip();
+            await this.loadPickOrder();
         } catch (error) {
-            return [];
+            console.warn('No se pudo abrir el almacenamiento local:', error);
         }
     }
 
-    savePendingMoves(moves) {
+    async loadPendingQueues() {
+        this.pendingQueues = { operations: [], moves: [], history: [], conflicts: [] };
+        if (!this.selectedBoardId) return;
+
+        const boardId = this.selectedBoardId;
+        const [operations, moves, history, conflicts] = await Promise.all([
+            this.storage.getQueue(boardId, 'operations'),
+            this.storage.getQueue(boardId, 'moves'),
+            this.storage.getQueue(boardId, 'history'),
+            this.storage.getQueue(boardId, 'conflicts')
+        ]);
+        this.pendingQueues = { operations, moves, history, conflicts };
+        this.updateConnectionStatus();
+    }
+
+    savePendingQueue(name, items) {
         if (!this.selectedBoardId) return;
-        localStorage.setItem(this.getPendingMovesKey(), JSON.stringify(moves));
+        this.pendingQueues[name] = items;
+        this.storage.saveQueue(this.selectedBoardId, name, items).catch(error => {
+            console.warn(`No se pudo guardar la cola pendiente "${name}":`, error);
+        });
         this.updateConnectionStatus();
         this.schedulePendingSync();
+
+        if (items.length > 0 && (name === 'moves' || name === 'history')) {
+            this.requestBackgroundSync();
+        }
     }
 
-    loadPendingHistory() {
-        if (!this.selectedBoardId) return [];
+    // What sw.js needs to replay the queues with no window open
+    async saveSyncContext() {
+        const context = this.backend.isRemote && this.selectedBoardId
+            ? { apiKey: this.apiKey, apiToken: this.apiToken, boardId: this.selectedBoardId }
+            : null;
+
         try {
-            return JSON.parse(localStorage.getItem(this.getPendingHistoryKey()) || '[]');
+            await this.storage.setValue('sync_context', context);
         } catch (error) {
-            return [];
+            console.warn('No se pudo guardar el contexto de sincronización:', error);
+        }
+    }
+
+    // Asks the service worker to replay pending moves and history once the
+    // connection is back, even if the app is closed by then. Periodic sync is
+    // the fallback for browsers without Background Sync or when it gives up.
+    async requestBackgroundSync() {
+        if (!this.backend.isRemote || !('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) {
+                await registration.sync.register(BACKGROUND_SYNC_TAG);
+            }
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.register(BACKGROUND_SYNC_TAG, {
+                    minInterval: 15 * 60 * 1000
+                });
+            }
+        } catch (error) {
+            console.warn('No se pudo registrar la sincronización en segundo plano:', error);
         }
     }
 
+    loadPendingMoves() {
+        if (!this.selectedBoardId) return [];
+        return [...this.pendingQueues.moves];
+    }
+
+    savePendingMoves(moves) {
+        this.savePendingQueue('moves', moves);
+    }
+
+    loadPendingHistory() {
+        if (!this.selectedBoardId) return [];
+        return [...this.pendingQueues.history];
+    }
+
     savePendingHistory(entries) {
-        if (!this.selectedBoardId) return;
-        localStorage.setItem(this.getPendingHistoryKey(), JSON.stringify(entries));
-        this.updateConnectionStatus();
-        this.schedulePendingSync();
+        this.savePendingQueue('history', entries);
+    }
+
+    loadPendingOperations() {
+        if (!this.selectedBoardId) return [];
+        return [...this.pendingQueues.operations];
+    }
+
+    savePendingOperations(operations) {
+        this.savePendingQueue('operations', operations);
+    }
+
+    getPendingChangesCount() {
+        return this.loadPendingOperations().length + this.loadPendingMoves().length + this.loadPendingHistory().length;
     }
 
     saveBoardCache() {
         if (!this.selectedBoardId || !this.board) return;
 
-        const cache = {
-            version: 1,
-            cachedAt: new Date().toISOString(),
+        this.storage.saveBoardCache(this.selectedBoardId, {
             board: this.board,
             lists: this.lists,
             cards: this.cards,
-            labels: this.labels
-        };
-
-        localStorage.setItem(this.getBoardCacheKey(), JSON.stringify(cache));
+            labels: this.labels,
+            lastActionId: this.lastActionId
+        }).catch(error => {
+            console.warn('No se pudo guardar la cache local:', error);
+        });
     }
 
     saveBoardCacheSoon() {
@@ -172,7 +356,7 @@ class TrelloShoppingApp {
         } else if (this.currentView === 'detail') {
             this.renderStoreDetail(this.currentStore);
         } else if (this.currentView === 'shopping') {
-            this.renderShoppingView(document.getElementById('shopping-mode-container'));
+            this.renderShoppingMode();
         }
     }
 
@@ -210,20 +394,20 @@ class TrelloShoppingApp {
         }
     }
 
-    loadBoardCache() {
+    async loadBoardCache() {
         if (!this.selectedBoardId) return null;
 
         try {
-            const saved = localStorage.getItem(this.getBoardCacheKey());
-            return saved ? JSON.parse(saved) : null;
+            return await this.storage.getBoardCache(this.selectedBoardId);
         } catch (error) {
             console.warn('No se pudo leer la cache local:', error);
             return null;
         }
     }
 
-    applyBoardData({ board, lists, cards, labels }) {
+    applyBoardData({ board, lists, cards, labels, lastActionId = null }) {
         this.board = board;
+        this.lastActionId = lastActionId;
         this.lists = lists || [];
         this.cards = cards || [];
         this.labels = labels || [];
@@ -259,8 +443,8 @@ class TrelloShoppingApp {
         return hasSearchText || document.activeElement === searchInput;
     }
 
-    hydrateFromCache() {
-        const cached = this.loadBoardCache();
+    async hydrateFromCache() {
+        const cached = await this.loadBoardCache();
         if (!cached?.board || !cached?.lists || !cached?.cards || !cached?.labels) {
             return false;
         }
@@ -273,22 +457,35 @@ class TrelloShoppingApp {
     }
 
     isNetworkError(error) {
+        // Local backend never talks to a server: every error is a real one
+        if (!this.backend.isRemote) return false;
+        // Trello still busy or failing after the backend's retries: keep the
+        // change queued instead of treating it as rejected, but only when
+        // sending it again is safe. A POST that got a 5xx may already have
+        // created the card or comment, so it is reported as a real error.
+        if (error?.status) return this.backend.isRetryableStatus(error.status, error.method);
         return !navigator.onLine || error?.name === 'TypeError';
     }
 
     updateConnectionStatus() {
-        const pendingCount = this.loadPendingMoves().length + this.loadPendingHistory().length;
+        const pendingCount = this.getPendingChangesCount();
+        const conflictCount = this.loadPendingConflicts().length;
         const statusEls = document.querySelectorAll('[data-connection-status]');
-        const offline = !navigator.onLine || !this.serverReachable;
+        const offline = this.backend.isRemote && (!navigator.onLine || !this.serverReachable);
 
         statusEls.forEach(el => {
             el.classList.toggle('offline', offline);
             el.classList.toggle('syncing', !offline && (this.isSyncing || this.isRefreshing || pendingCount > 0));
+            el.classList.toggle('conflict', !offline && pendingCount === 0 && conflictCount > 0);
 
-            if (offline) {
+            if (!this.backend.isRemote) {
+                el.textContent = 'Solo local';
+            } else if (offline) {
                 el.textContent = pendingCount > 0 ? `Offline · ${pendingCount} pendiente${pendingCount === 1 ? '' : 's'}` : 'Offline';
             } else if (pendingCount > 0) {
                 el.textContent = `${pendingCount} pendiente${pendingCount === 1 ? '' : 's'}`;
+            } else if (conflictCount > 0) {
+                el.textContent = `${conflictCount} conflicto${conflictCount === 1 ? '' : 's'}`;
             } else if (this.isRefreshing) {
                 el.textContent = 'Actualizando';
             } else if (this.isSyncing) {
@@ -321,8 +518,11 @@ class TrelloShoppingApp {
         document.addEventListener('visibilitychange', () => {
             if (document.visibilityState === 'visible') {
                 this.syncPendingMovesAndRefresh({ silent: true });
+            } else {
+                this.commitPendingUndo({ queue: true });
             }
         });
+        window.addEventListener('pagehide', () => this.commitPendingUndo({ queue: true }));
 
         this.schedulePendingSync();
         this.startBackgroundRefresh();
@@ -337,16 +537,158 @@ class TrelloShoppingApp {
     }
 
     async backgroundRefresh() {
+        if (!this.backend.isRemote) return;
         if (!this.selectedBoardId || this.isRefreshing || this.isSyncing) return;
         if (document.visibilityState === 'hidden') return;
         if (this.isSearchActive()) return;
 
-        if (this.loadPendingMoves().length > 0) {
+        // Server state would put back what the undo snackbar is still holding
+        if (this.pendingUndo) return;
+
+        if (this.getPendingChangesCount() > 0) {
             await this.syncPendingMovesAndRefresh({ silent: true });
             return;
         }
 
-        await this.loadBoard({ background: true });
+        await this.refreshFromActions();
+    }
+
+    // Applies only what changed on Trello since the last seen board action.
+    // Falls back to a full loadBoard when there is no starting point, when the
+    // page of actions is full (there may be a gap) or when too many cards changed.
+    async refreshFromActions() {
+        if (!this.lastActionId || !this.board) {
+            await this.loadBoard({ background: true });
+            return;
+        }
+
+        let needsFullReload = false;
+
+        try {
+            this.isRefreshing = true;
+            this.updateConnectionStatus();
+            needsFullReload = !(await this.applyBoardActionsSince(this.lastActionId));
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                this.serverReachable = false;
+            } else {
+                console.warn('No se pudieron aplicar los cambios de Trello, recargando tablero:', error);
+                needsFullReload = true;
+            }
+        } finally {
+            this.isRefreshing = false;
+            this.updateConnectionStatus();
+        }
+
+        if (needsFullReload) {
+            await this.loadBoard({ background: true });
+        }
+    }
+
+    // Returns false when the delta cannot be applied safely and a full reload is needed
+    async applyBoardActionsSince(sinceActionId) {
+        const actions = await this.getBoardActions(this.selectedBoardId, sinceActionId, this.deltaActionLimit);
+        this.serverReachable = true;
+
+        if (actions.length >= this.deltaActionLimit) return false;
+        if (actions.length === 0) return true;
+
+        const changedCardIds = new Set();
+        const deletedCardIds = new Set();
+        const deletedLabelIds = new Set();
+        let listsChanged = false;
+        let labelsChanged = false;
+        let boardChanged = false;
+
+        // Trello returns newest first
+        [...actions].reverse().forEach(action => {
+            const cardId = action.data?.card?.id;
+            if (action.type === 'deleteCard' || action.type === 'moveCardFromBoard') {
+                changedCardIds.delete(cardId);
+                deletedCardIds.add(cardId);
+            } else if (action.type.endsWith('List') || action.type.startsWith('moveList')) {
+                listsChanged = true;
+            } else if (action.type.endsWith('Label')) {
+                // A deleted label leaves no action on the cards that had it
+                labelsChanged = true;
+                if (action.type === 'deleteLabel') deletedLabelIds.add(action.data?.label?.id);
+            } else if (action.type === 'updateBoard') {
+                boardChanged = true;
+            } else if (cardId) {
+                changedCardIds.add(cardId);
+            }
+        });
+
+        if (changedCardIds.size > this.deltaMaxCards) return false;
+
+        const cardIds = [...changedCardIds];
+        const [cards, lists, board] = await Promise.all([
+            Promise.all(cardIds.map(cardId => this.getCard(cardId).catch(error => {
+                // Gone from Trello (deleted or not visible any more): drop it locally
+                if (this.isNetworkError(error)) throw error;
+                return null;
+            }))),
+            listsChanged ? this.getLists(this.selectedBoardId) : null,
+            boardChanged ? this.getBoard(this.selectedBoardId) : null
+        ]);
+
+        // A refresh started before the user's last tap must not undo it;
+        // the actions are picked up again on the next round
+        if (this.getPendingChangesCount() > 0) return true;
+
+        deletedCardIds.forEach(cardId => {
+            this.cards = this.cards.filter(c => c.id !== cardId);
+        });
+
+        cards.forEach((card, index) => {
+            const cardId = cardIds[index];
+            if (!card || card.closed) {
+                this.cards = this.cards.filter(c => c.id !== cardId);
+                return;
+            }
+
+            const existingIndex = this.cards.findIndex(c => c.id === cardId);
+            if (existingIndex === -1) {
+                this.cards.push(card);
+            } else {
+                this.cards[existingIndex] = card;
+            }
+        });
+
+        if (deletedLabelIds.size > 0) {
+            this.cards.forEach(card => {
+                card.idLabels = card.idLabels.filter(id => !deletedLabelIds.has(id));
+            });
+        }
+
+        // Labels created, renamed or deleted on another device, or that
+        // cards now carry without this one having seen them yet
+        const knownLabelIds = new Set(this.labels.map(l => l.id));
+        const hasUnknownLabels = this.cards.some(card => card.idLabels.some(id => !knownLabelIds.has(id)));
+        const labelsOutdated = labelsChanged || hasUnknownLabels;
+        const labels = labelsOutdated ? await this.getLabels(this.selectedBoardId) : this.labels;
+
+        this.applyBoardData({
+            board: board || this.board,
+            lists: lists || this.lists,
+            cards: this.cards,
+            labels,
+            lastActionId: actions[0].id
+        });
+        this.saveBoardCache();
+        console.log('🔄 Cambios de Trello aplicados:', {
+            actions: actions.length,
+            cards: cardIds.length,
+            deleted: deletedCardIds.size
+        });
+
+        if (this.isSearchActive()) return true;
+        if (lists || labelsOutdated) {
+            this.renderCurrentView();
+        } else {
+            this.renderAfterCardMove();
+        }
+        return true;
     }
 
     registerServiceWorker() {
@@ -357,24 +699,26 @@ class TrelloShoppingApp {
             .catch(error => {
                 console.warn('No se pudo registrar el service worker:', error);
             });
-    }
 
-    // Load recent products from localStorage
-    loadRecentProducts() {
-        const saved = localStorage.getItem('recent_products');
-        if (saved) {
-            try {
-                return JSON.parse(saved);
-            } catch (error) {
-                return [];
+        // With a window open the service worker leaves the replay to the app
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data?.type === BACKGROUND_SYNC_TAG) {
+                this.syncPendingMovesAndRefresh({ silent: true });
             }
-        }
-        return [];
+        });
+    }
+
+    // Load recent products from IndexedDB
+    async loadRecentProducts() {
+        const saved = await this.storage.getValue('recent_products', []);
+        return Array.isArray(saved) ? saved : [];
     }
 
-    // Save recent products to localStorage
+    // Save recent products to IndexedDB
     saveRecentProducts() {
-        localStorage.setItem('recent_products', JSON.stringify(this.recentProducts));
+        this.storage.setValue('recent_products', this.recentProducts).catch(error => {
+            console.warn('No se pudieron guardar los productos recientes:', error);
+        });
     }
 
     saveRecentProductsSoon() {
@@ -513,7 +857,7 @@ class TrelloShoppingApp {
     }
 
     buildHistoryEntry(card, action, reason = null) {
-        return {
+        const entry = {
             cardId: card.id,
             productName: card.name,
             user: this.getCurrentUserLabel(),
@@ -521,21 +865,61 @@ class TrelloShoppingApp {
             reason,
             createdAt: new Date().toISOString()
         };
+
+        // Stored with the entry so the service worker can post it as is
+        entry.comment = this.formatHistoryComment(entry);
+        return entry;
     }
 
     formatHistoryComment(entry) {
         const actionLabel = this.getHistoryActionLabel(entry);
-        return `[ShoppingList] ${entry.user} ${actionLabel} "${entry.productName}"`;
+        return `${HISTORY_COMMENT_PREFIX}${entry.user} ${actionLabel} "${entry.productName}"`;
     }
 
     parseHistoryComment(action) {
         const text = action?.data?.text || '';
-        if (!text.startsWith('[ShoppingList] ')) return null;
+        if (!text.startsWith(HISTORY_COMMENT_PREFIX)) return null;
 
-        return {
-            text: text.replace('[ShoppingList] ', ''),
-            date: action.date
-        };
+        return this.splitHistoryDate(text.slice(HISTORY_COMMENT_PREFIX.length), action.date);
+    }
+
+    // Comments re-posted by a backup restore carry their original date at the end
+    splitHistoryDate(text, date) {
+        const match = text.match(HISTORY_DATE_MARKER);
+        if (!match) return { text, date };
+
+        return { text: text.slice(0, match.index), date: match[1] };
+    }
+
+    // Structured form of a history comment: who did what to which card.
+    // null for comments that are not ours or that this version cannot read.
+    parseHistoryEvent(action) {
+        const text = action?.data?.text || '';
+        if (!text.startsWith(HISTORY_COMMENT_PREFIX)) return null;
+
+        const kinds = [
+            { action: 'added', reason: null },
+            { action: 'removed', reason: 'purchased' },
+            { action: 'removed', reason: 'not_needed' },
+            { action: 'removed', reason: null }
+        ];
+        const { text: body, date } = this.splitHistoryDate(text.slice(HISTORY_COMMENT_PREFIX.length), action.date);
+
+        for (const kind of kinds) {
+            const label = ` ${this.getHistoryActionLabel(kind)} "`;
+            const index = body.indexOf(label);
+            if (index === -1) continue;
+
+            return {
+                ...kind,
+                cardId: action.data?.card?.id || null,
+                user: body.slice(0, index),
+                productName: body.slice(index + label.length).replace(/"$/, ''),
+                time: new Date(date).getTime()
+            };
+        }
+
+        return null;
     }
 
     formatHistoryDate(dateValue) {
@@ -553,6 +937,8 @@ class TrelloShoppingApp {
     }
 
     async getCardHistory(cardId) {
+        if (this.isLocalId(cardId)) return [];
+
         try {
             const actions = await this.getCardActions(cardId);
             return actions
@@ -641,16 +1027,19 @@ class TrelloShoppingApp {
 
         this.bindEvents();
         this.loadTheme();
+        await this.loadLocalState();
+        await this.saveSyncContext();
         this.setupConnectivityHandlers();
         this.registerServiceWorker();
         this.updateConnectionStatus();
 
-        if (this.apiKey && this.apiToken) {
-            console.log('✅ Credenciales encontradas en localStorage');
+        if (this.isLoggedIn()) {
+            console.log('✅ Sesión encontrada en localStorage:', this.backendType);
             if (this.selectedBoardId) {
                 console.log('📋 Cargando tablero:', this.selectedBoardId);
-                const restoredFromCache = this.hydrateFromCache();
+                const restoredFromCache = await this.hydrateFromCache();
                 await this.loadBoard({ background: restoredFromCache });
+                await this.resumeInterruptedBulkJob();
             } else {
                 console.log('📋 Cargando lista de tableros...');
                 await this.loadBoards();
@@ -682,8 +1071,11 @@ class TrelloShoppingApp {
             console.log('🔑 Auto-login via URL hash - setting credentials');
             this.apiKey = key;
             this.apiToken = token;
+            this.backendType = 'trello';
             localStorage.setItem('trello_api_key', key);
             localStorage.setItem('trello_api_token', token);
+            localStorage.setItem('shopping_list_backend', 'trello');
+            this.backend = this.createBackend();
 
             if (boardId) {
                 this.selectedBoardId = boardId;
@@ -706,6 +1098,7 @@ class TrelloShoppingApp {
             e.preventDefault();
             this.handleLogin();
         });
+        document.getElementById('local-login-btn')?.addEventListener('click', () => this.handleLocalLogin());
 
         // Board selection
         document.getElementById('create-board-btn')?.addEventListener('click', () => this.createNewBoard());
@@ -716,6 +1109,11 @@ class TrelloShoppingApp {
         document.getElementById('detail-refresh-btn')?.addEventListener('click', () => this.refresh());
         document.getElementById('settings-btn')?.addEventListener('click', () => this.showSettings());
 
+        // Unresolved sync conflicts can be reopened from the status pill
+        document.querySelectorAll('[data-connection-status]').forEach(el => {
+            el.addEventListener('click', () => this.showConflictsModal());
+        });
+
         // Navigation
         document.getElementById('back-to-stores-btn')?.addEventListener('click', () => this.showStoreCards());
         document.getElementById('shopping-mode-btn')?.addEventListener('click', () => this.showShoppingMode());
@@ -738,6 +1136,13 @@ class TrelloShoppingApp {
         document.getElementById('product-name')?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.createProduct();
         });
+        document.getElementById('quick-add-input')?.addEventListener('input', (e) => {
+            this.renderQuickAddPreview(e.target.value);
+        });
+        document.getElementById('quick-add-input')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.quickAdd(e.target.value);
+        });
+        document.getElementById('paste-list-btn')?.addEventListener('click', () => this.showPasteListModal());
 
         // Passive scroll listeners for smooth scrolling
         document.addEventListener('touchstart', () => {}, passiveOpts);
@@ -761,137 +1166,145 @@ class TrelloShoppingApp {
 
     // ==================== API Methods ====================
 
-    async trelloFetch(endpoint, options = {}) {
-        const url = new URL(`https://api.trello.com/1${endpoint}`);
-        url.searchParams.append('key', this.apiKey);
-        url.searchParams.append('token', this.apiToken);
+    // Thin wrappers over the active backend (backends.js), so the rest of the
+    // app does not care whether data lives in Trello or only on this device
 
-        console.log(`🌐 Trello API: ${options.method || 'GET'} ${endpoint}`);
-
-        try {
-            const response = await fetch(url.toString(), {
-                ...options,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                }
-            });
-
-            console.log(`📡 Respuesta: ${response.status} ${response.statusText}`);
+    async getBoards() {
+        return this.backend.getBoards();
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`❌ Error de API:`, errorText);
+    async getBoard(boardId) {
+        return this.backend.getBoard(boardId);
+    }
 
-                if (response.status === 401) {
-                    this.logout();
-                    throw new Error('Sesión expirada');
-                }
-                throw new Error(`Error ${response.status}: ${errorText}`);
-            }
+    async updateBoard(boardId, fields) {
+        return this.backend.updateBoard(boardId, fields);
+    }
 
-            const data = await response.json();
-            console.log(`✅ Datos recibidos:`, data);
-            return data;
-        } catch (error) {
-            console.error(`💥 Error en fetch:`, error);
-            throw error;
-        }
+    async getLists(boardId) {
+        return this.backend.getLists(boardId);
     }
 
-    async getBoards() {
-        return this.trelloFetch('/members/me/boards?fields=name,url,prefs');
+    async getCards(boardId) {
+        return this.backend.getCards(boardId);
     }
 
-    async getBoard(boardId) {
-        return this.trelloFetch(`/boards/${boardId}?fields=name,url,prefs`);
+    async getArchivedCards(boardId) {
+        return this.backend.getArchivedCards(boardId);
     }
 
-    async getLists(boardId) {
-        return this.trelloFetch(`/boards/${boardId}/lists?fields=name,pos`);
+    async getBoardActions(boardId, sinceActionId, limit) {
+        return this.backend.getBoardActions(boardId, sinceActionId, limit);
     }
 
-    async getCards(boardId) {
-        return this.trelloFetch(`/boards/${boardId}/cards?fields=name,idList,idLabels,pos,desc&attachments=true&attachment_fields=url,name,mimeType,previews`);
+    async getLatestBoardActionId(boardId) {
+        return this.backend.getLatestBoardActionId(boardId);
     }
 
     async getCardAttachments(cardId) {
-        return this.trelloFetch(`/cards/${cardId}/attachments?fields=all`);
+        return this.backend.getCardAttachments(cardId);
     }
 
     async getLabels(boardId) {
-        return this.trelloFetch(`/boards/${boardId}/labels?fields=name,color`);
+        return this.backend.getLabels(boardId);
     }
 
     async createBoard(name) {
-        return this.trelloFetch('/boards', {
-            method: 'POST',
-            body: JSON.stringify({
-                name,
-                defaultLists: false
-            })
-        });
+        return this.backend.createBoard(name);
     }
 
     async createList(boardId, name, pos) {
-        return this.trelloFetch('/lists', {
-            method: 'POST',
-            body: JSON.stringify({
-                name,
-                idBoard: boardId,
-                pos
-            })
-        });
+        return this.backend.createList(boardId, name, pos);
     }
 
     async createLabel(boardId, name, color) {
-        return this.trelloFetch('/labels', {
-            method: 'POST',
-            body: JSON.stringify({
-                name,
-                color,
-                idBoard: boardId
-            })
-        });
+        return this.backend.createLabel(boardId, name, color);
     }
 
     async createCard(listId, name, labelIds = [], desc = '') {
-        return this.trelloFetch('/cards', {
-            method: 'POST',
-            body: JSON.stringify({
-                name,
-                idList: listId,
-                idLabels: labelIds,
-                desc
-            })
-        });
+        return this.backend.createCard(listId, name, labelIds, desc);
     }
 
     async moveCard(cardId, listId) {
-        return this.trelloFetch(`/cards/${cardId}`, {
-            method: 'PUT',
-            body: JSON.stringify({
-                idList: listId
-            })
-        });
+        return this.backend.moveCard(cardId, listId);
+    }
+
+    async getCard(cardId) {
+        return this.backend.getCard(cardId);
+    }
+
+    async getCardState(cardId) {
+        return this.backend.getCardState(cardId);
+    }
+
+    async updateCard(cardId, fields) {
+        return this.backend.updateCard(cardId, fields);
+    }
+
+    async deleteCard(cardId) {
+        return this.backend.deleteCard(cardId);
+    }
+
+    async deleteCardAttachment(cardId, attachmentId) {
+        return this.backend.deleteCardAttachment(cardId, attachmentId);
     }
 
     async addCardComment(cardId, text) {
-        return this.trelloFetch(`/cards/${cardId}/actions/comments`, {
-            method: 'POST',
-            body: JSON.stringify({ text })
-        });
+        return this.backend.addCardComment(cardId, text);
+    }
+
+    async deleteCardComment(actionId) {
+        return this.backend.deleteCardComment(actionId);
     }
 
     async getCardActions(cardId) {
-        return this.trelloFetch(`/cards/${cardId}/actions?filter=commentCard&fields=data,date&memberCreator_fields=fullName,username&limit=30`);
+        return this.backend.getCardActions(cardId);
+    }
+
+    async getBoardComments(boardId, limit, before) {
+        return this.backend.getBoardComments(boardId, limit, before);
+    }
+
+    // Every comment on the board, newest first. Trello hands them out 1000
+    // at a time, so older pages are asked for with `before`.
+    async getAllBoardComments(boardId) {
+        const pageSize = 1000;
+        const comments = [];
+        let before = null;
+
+        for (;;) {
+            const page = await this.getBoardComments(boardId, pageSize, before);
+            comments.push(...page);
+
+            if (page.length < pageSize) return comments;
+            before = page[page.length - 1].id;
+        }
+    }
+
+    async updateCardLabels(cardId, labelIds) {
+        return this.backend.updateCardLabels(cardId, labelIds);
+    }
+
+    async addAttachmentToCard(cardId, file) {
+        return this.backend.addAttachmentToCard(cardId, file);
+    }
+
+    async setCoverImage(cardId, attachmentId) {
+        return this.backend.setCoverImage(cardId, attachmentId);
     }
 
     async recordCardHistory(entry) {
-        await this.addCardComment(entry.cardId, this.formatHistoryComment(entry));
+        const action = await this.addCardComment(entry.cardId, entry.comment || this.formatHistoryComment(entry));
+        // Kept so an undo can delete the comment again
+        entry.actionId = action?.id || null;
     }
 
     async recordOrQueueCardHistory(entry) {
+        if (this.isLocalId(entry.cardId)) {
+            this.enqueueCardHistory(entry);
+            return;
+        }
+
         try {
             await this.recordCardHistory(entry);
         } catch (error) {
@@ -907,45 +1320,7 @@ class TrelloShoppingApp {
     enqueueCardHistory(entry) {
         const entries = this.loadPendingHistory();
         entries.push(entry);
-        localStorage.setItem(this.getPendingHistoryKey(), JSON.stringify(entries));
-        this.updateConnectionStatus();
-        this.schedulePendingSync();
-    }
-
-    async updateCardLabels(cardId, labelIds) {
-        return this.trelloFetch(`/cards/${cardId}/idLabels`, {
-            method: 'PUT',
-            body: JSON.stringify({
-                value: labelIds.join(',')
-            })
-        });
-    }
-
-    async addAttachmentToCard(cardId, file) {
-        const formData = new FormData();
-        formData.append('file', file);
-        formData.append('key', this.apiKey);
-        formData.append('token', this.apiToken);
-
-        const response = await fetch(`https://api.trello.com/1/cards/${cardId}/attachments`, {
-            method: 'POST',
-            body: formData
-        });
-
-        if (!response.ok) {
-            throw new Error('Error subiendo imagen');
-        }
-
-        return response.json();
-    }
-
-    async setCoverImage(cardId, attachmentId) {
-        return this.trelloFetch(`/cards/${cardId}`, {
-            method: 'PUT',
-            body: JSON.stringify({
-                idAttachmentCover: attachmentId
-            })
-        });
+        this.savePendingHistory(entries);
     }
 
     // ==================== Authentication ====================
@@ -968,6 +1343,8 @@ class TrelloShoppingApp {
 
         this.apiKey = apiKey;
         this.apiToken = apiToken;
+        this.backendType = 'trello';
+        this.backend = this.createBackend();
 
         try {
             console.log('🧪 Probando credenciales...');
@@ -978,6 +1355,7 @@ class TrelloShoppingApp {
             // Save credentials
             localStorage.setItem('trello_api_key', apiKey);
             localStorage.setItem('trello_api_token', apiToken);
+            localStorage.setItem('shopping_list_backend', 'trello');
 
             await this.loadBoards();
         } catch (error) {
@@ -986,9 +1364,35 @@ class TrelloShoppingApp {
         }
     }
 
-    logout() {
+    // No account: products, lists, labels and history stay in this browser
+    async handleLocalLogin() {
+        console.log('💾 handleLocalLogin() llamado');
+
+        this.backendType = 'local';
+        this.backend = this.createBackend();
+        localStorage.setItem('shopping_list_backend', 'local');
+
+        try {
+            const boards = await this.getBoards();
+            if (boards.length > 0) {
+                await this.loadBoards();
+                return;
+            }
+
+            const board = await this.createBoard('Lista de Compras');
+            await this.selectBoard(board.id);
+        } catch (error) {
+            console.error('❌ Error iniciando modo local:', error);
+            this.showToast('Error iniciando modo local: ' + error.message);
+        }
+    }
+
+    async logout() {
+        this.selectedBoardId = '';
+        await this.saveSyncContext();
         localStorage.removeItem('trello_api_key');
         localStorage.removeItem('trello_api_token');
+        localStorage.removeItem('shopping_list_backend');
         localStorage.removeItem('trello_board_id');
         location.reload();
     }
@@ -1033,7 +1437,12 @@ class TrelloShoppingApp {
     async selectBoard(boardId) {
         this.selectedBoardId = boardId;
         localStorage.setItem('trello_board_id', boardId);
+        await this.loadPendingQueues();
+        await this.loadTrip();
+        await this.loadPickOrder();
+        await this.saveSyncContext();
         await this.loadBoard();
+        await this.resumeInterruptedBulkJob();
     }
 
     async loadBoard({ background = false, skipPendingSync = false } = {}) {
@@ -1047,7 +1456,7 @@ class TrelloShoppingApp {
 
             if (!skipPendingSync) {
                 const synced = await this.syncPendingMoves({ silent: true });
-                if (!synced && this.loadPendingMoves().length > 0) {
+                if (!synced && this.getPendingChangesCount() > 0) {
                     this.updateConnectionStatus();
                     this.renderCurrentView();
                     if (!background) {
@@ -1058,14 +1467,15 @@ class TrelloShoppingApp {
             }
 
             // Load board data
-            const [board, lists, cards, labels] = await Promise.all([
+            const [board, lists, cards, labels, lastActionId] = await Promise.all([
                 this.getBoard(this.selectedBoardId),
                 this.getLists(this.selectedBoardId),
                 this.getCards(this.selectedBoardId),
-                this.getLabels(this.selectedBoardId)
+                this.getLabels(this.selectedBoardId),
+                this.getLatestBoardActionId(this.selectedBoardId)
             ]);
 
-            this.applyBoardData({ board, lists, cards, labels });
+            this.applyBoardData({ board, lists, cards, labels, lastActionId });
 
             if (!this.allProductsList || !this.activeList) {
                 await this.setupBoardStructure();
@@ -1074,13 +1484,19 @@ class TrelloShoppingApp {
             this.serverReachable = true;
             this.saveBoardCache();
             this.updateConnectionStatus();
+            this.refreshReplenishment().catch(error => {
+                console.warn('No se pudo actualizar la reposición:', error);
+            });
+            this.purgeExpiredTrash().catch(error => {
+                console.warn('No se pudo vaciar la papelera:', error);
+            });
             if (background && this.isSearchActive()) return;
             this.renderCurrentView();
 
         } catch (error) {
             this.serverReachable = false;
 
-            if (!this.board && this.hydrateFromCache()) {
+            if (!this.board && await this.hydrateFromCache()) {
                 this.updateConnectionStatus();
                 return;
             }
@@ -1289,7 +1705,7 @@ class TrelloShoppingApp {
             return;
         }
 
-        let html = '';
+        let html = this.searchQuery ? '' : this.renderReplenishmentSuggestions(allStoreCards);
 
         // Active products section (always show, even if empty)
         html += `
@@ -1395,6 +1811,13 @@ class TrelloShoppingApp {
             });
         });
 
+        container.querySelectorAll('.replenish-add').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleProduct(btn.dataset.cardId));
+        });
+        container.querySelectorAll('.replenish-auto').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleAutoReplenish(btn.dataset.cardId));
+        });
+
         // Add info button handlers
         container.querySelectorAll('.product-info-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -1427,7 +1850,9 @@ class TrelloShoppingApp {
     }
 
     renderDetailProduct(card, isActive) {
-        const descText = card.desc ? card.desc.substring(0, 60) + (card.desc.length > 60 ? '...' : '') : '';
+        const notes = this.getCardNotes(card);
+        const descText = notes ? notes.substring(0, 60) + (notes.length > 60 ? '...' : '') : '';
+        const quantity = isActive ? this.formatCardQuantity(card) : '';
 
         // Check if card has image attachment
         const imageAttachment = card.attachments?.find(a => a.mimeType?.startsWith('image/'));
@@ -1451,7 +1876,10 @@ class TrelloShoppingApp {
                 <div class="detail-product-checkbox"></div>
                 ${iconHtml}
                 <div class="detail-product-info">
-                    <div class="detail-product-name">${card.name}</div>
+                    <div class="detail-product-name">
+                        ${card.name}
+                        ${quantity ? `<span class="product-quantity">${quantity}</span>` : ''}
+                    </div>
                     ${descText ? `<div class="detail-product-desc">${descText}</div>` : ''}
                 </div>
                 ${infoButton}
@@ -1483,6 +1911,9 @@ class TrelloShoppingApp {
     getAttachmentUrl(attachment) {
         if (!attachment) return null;
 
+        // Images queued offline are kept inline until they are uploaded
+        if (attachment.url?.startsWith('data:')) return attachment.url;
+
         let url = null;
 
         // Prefer previews (they're optimized for display)
@@ -1513,6 +1944,7 @@ class TrelloShoppingApp {
     // Fetch image using your Cloudflare Worker proxy
     async fetchImageWithOAuth(url) {
         if (!url) return null;
+        if (url.startsWith('data:')) return url;
 
         // Check cache first
         if (this.imageCache.has(url)) {
@@ -1589,7 +2021,7 @@ class TrelloShoppingApp {
         try {
             // Fetch attachments and shopping history for this card
             const [attachments, history] = await Promise.all([
-                this.getCardAttachments(cardId),
+                this.getCardAttachmentsOrCached(card),
                 this.getCardHistory(cardId)
             ]);
             const images = attachments.filter(a => a.mimeType?.startsWith('image/'));
@@ -1643,8 +2075,11 @@ class TrelloShoppingApp {
                     ` : ''}
                     <div class="product-detail-section">
                         <span class="product-detail-label">📝 Notas</span>
-                        ${card.desc ? `<p class="product-detail-desc">${card.desc}</p>` : '<p class="product-detail-desc empty">Sin notas</p>'}
+                        ${this.getCardNotes(card) ? `<p class="product-detail-desc">${this.getCardNotes(card)}</p>` : '<p class="product-detail-desc empty">Sin notas</p>'}
                     </div>
+                    ${this.renderAisleDetail(card)}
+                    ${this.renderReplenishmentDetail(card)}
+                    ${this.renderPriceHistory(card)}
                     <div class="product-detail-section">
                         <span class="product-detail-label">Historial</span>
                         ${history.length > 0 ? `
@@ -1672,6 +2107,18 @@ class TrelloShoppingApp {
         }
     }
 
+    // Offline (or for cards not yet uploaded) fall back to the attachments kept in the board cache
+    async getCardAttachmentsOrCached(card) {
+        if (this.isLocalId(card.id)) return card.attachments || [];
+
+        try {
+            return await this.getCardAttachments(card.id);
+        } catch (error) {
+            if (this.isNetworkError(error)) return card.attachments || [];
+            throw error;
+        }
+    }
+
     // Load detail images using OAuth
     async loadDetailImages(images) {
         for (let i = 0; i < images.length; i++) {
@@ -1748,7 +2195,7 @@ class TrelloShoppingApp {
                 </div>
                 <div class="modal-section">
                     <div class="modal-section-title">Notas</div>
-                    <textarea id="edit-product-desc" class="modal-input modal-textarea" placeholder="Añade notas sobre el producto...">${card.desc || ''}</textarea>
+                    <textarea id="edit-product-desc" class="modal-input modal-textarea" placeholder="Añade notas sobre el producto...">${this.getCardNotes(card)}</textarea>
                 </div>
                 <div class="product-edit-actions">
                     <button class="modal-btn secondary" onclick="app.showProductDetail('${cardId}')">Cancelar</button>
@@ -1840,16 +2287,14 @@ class TrelloShoppingApp {
             if (file) {
                 try {
                     uploadArea.innerHTML = '<div class="image-upload-placeholder"><span class="image-upload-icon">⏳</span><span class="image-upload-text">Subiendo...</span></div>';
-                    await this.addAttachmentToCard(cardId, file);
+                    const card = this.cards.find(c => c.id === cardId);
+                    if (!card) return;
 
-                    // Reload card with new attachments
-                    const updatedCard = await this.trelloFetch(`/cards/${cardId}?fields=name,idList,idLabels,pos,desc&attachments=true&attachment_fields=url,name,mimeType`);
-                    const cardIndex = this.cards.findIndex(c => c.id === cardId);
-                    if (cardIndex !== -1) {
-                        this.cards[cardIndex] = updatedCard;
-                    }
+                    const queued = await this.addAttachmentOrQueue(card, file);
+                    this.currentCardImages = card.attachments.filter(a => a.mimeType?.startsWith('image/'));
+                    this.saveBoardCache();
 
-                    this.showToast('Imagen añadida');
+                    this.showToast(queued ? 'Imagen guardada offline. Se subira al volver la conexion.' : 'Imagen añadida');
                     this.openEditMode(cardId);
                 } catch (error) {
                     this.showToast('Error subiendo imagen: ' + error.message);
@@ -1863,14 +2308,23 @@ class TrelloShoppingApp {
         if (!confirm('¿Eliminar esta imagen?')) return;
 
         try {
-            await this.trelloFetch(`/cards/${cardId}/attachments/${attachmentId}`, { method: 'DELETE' });
+            // An image still waiting to be uploaded only needs its queued upload dropped
+            if (this.isLocalId(attachmentId)) {
+                this.savePendingOperations(this.loadPendingOperations().filter(op => op.attachmentId !== attachmentId));
+            } else {
+                await this.runOrQueueOperation(
+                    [cardId],
+                    () => this.deleteCardAttachment(cardId, attachmentId),
+                    () => this.enqueueOperation('deleteAttachment', { cardId, attachmentId })
+                );
+            }
 
-            // Reload card
-            const updatedCard = await this.trelloFetch(`/cards/${cardId}?fields=name,idList,idLabels,pos,desc&attachments=true&attachment_fields=url,name,mimeType`);
-            const cardIndex = this.cards.findIndex(c => c.id === cardId);
-            if (cardIndex !== -1) {
-                this.cards[cardIndex] = updatedCard;
+            const card = this.cards.find(c => c.id === cardId);
+            if (card) {
+                card.attachments = (card.attachments || []).filter(a => a.id !== attachmentId);
             }
+            this.currentCardImages = (this.currentCardImages || []).filter(a => a.id !== attachmentId);
+            this.saveBoardCache();
 
             this.showToast('Imagen eliminada');
             this.openEditMode(cardId);
@@ -1897,25 +2351,29 @@ class TrelloShoppingApp {
 
         try {
             // Update name, description and labels
-            await this.trelloFetch(`/cards/${cardId}`, {
-                method: 'PUT',
-                body: JSON.stringify({
-                    name: nameInput,
-                    desc: descInput,
-                    idLabels: newLabels
-                })
-            });
+            const card = this.cards.find(c => c.id === cardId);
+            const desc = this.buildCardDesc(descInput, card ? this.getCardMeta(card) : {});
+            const changes = {
+                name: nameInput,
+                desc,
+                idLabels: newLabels
+            };
+            const base = card ? this.buildCardBase(card) : null;
+            const queued = await this.runOrQueueOperation(
+                [cardId, ...newLabels],
+                () => this.updateCard(cardId, changes),
+                () => this.enqueueCardUpdate(cardId, changes, base)
+            );
 
             // Update local card
-            const card = this.cards.find(c => c.id === cardId);
             if (card) {
                 card.name = nameInput;
-                card.desc = descInput;
+                card.desc = desc;
                 card.idLabels = newLabels;
             }
             this.saveBoardCache();
 
-            this.showToast('Guardado');
+            this.showToast(queued ? 'Guardado offline. Se sincronizara al volver la conexion.' : 'Guardado');
             this.showProductDetail(cardId);
 
             // Re-render current view to update
@@ -1983,6 +2441,167 @@ class TrelloShoppingApp {
         });
     }
 
+    // Resolves { quantity, unit } or null when cancelled
+    promptQuantity(card) {
+        return new Promise(resolve => {
+            const existingModal = document.getElementById('quantity-modal');
+            if (existingModal) existingModal.remove();
+
+            const current = this.getCardMeta(card);
+            let selectedUnit = QUANTITY_UNITS.includes(current.unit) ? current.unit : QUANTITY_UNITS[0];
+
+            const modal = document.createElement('div');
+            modal.id = 'quantity-modal';
+            modal.className = 'modal-overlay';
+            modal.style.zIndex = '450';
+            modal.innerHTML = `
+                <div class="modal" style="max-width: 420px;">
+                    <div class="modal-header">
+                        <h3 class="modal-title">¿Cuánto hace falta?</h3>
+                        <button class="modal-close" id="quantity-close">×</button>
+                    </div>
+
+                    <div class="modal-section">
+                        <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
+                            <strong style="color: var(--text);">"${this.escapeHtml(card.name)}"</strong>
+                        </p>
+
+                        <input id="quantity-input" class="input" type="text" inputmode="decimal" value="${String(current.quantity || 1).replace('.', ',')}">
+                        <div class="quantity-units">
+                            ${QUANTITY_UNITS.map(unit => `
+                                <button class="quantity-unit ${unit === selectedUnit ? 'selected' : ''}" data-unit="${unit}">${unit}</button>
+                            `).join('')}
+                        </div>
+
+                        <div style="display: flex; gap: 12px; margin-top: 20px;">
+                            <button class="btn btn-secondary" id="quantity-cancel" style="flex: 1;">Cancelar</button>
+                            <button class="btn btn-primary" id="quantity-save" style="flex: 1;">Añadir</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const close = result => {
+                modal.remove();
+                resolve(result);
+            };
+
+            document.body.appendChild(modal);
+            const input = document.getElementById('quantity-input');
+
+            const save = () => {
+                const quantity = parseFloat(input.value.replace(',', '.'));
+                if (!Number.isFinite(quantity) || quantity <= 0) {
+                    this.showToast('Introduce una cantidad válida');
+                    return;
+                }
+                close({ quantity, unit: selectedUnit });
+            };
+
+            modal.querySelectorAll('.quantity-unit').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    selectedUnit = btn.dataset.unit;
+                    modal.querySelectorAll('.quantity-unit').forEach(b => b.classList.toggle('selected', b === btn));
+                });
+            });
+
+            document.getElementById('quantity-close').addEventListener('click', () => close(null));
+            document.getElementById('quantity-cancel').addEventListener('click', () => close(null));
+            document.getElementById('quantity-save').addEventListener('click', save);
+            input.addEventListener('keypress', e => {
+                if (e.key === 'Enter') save();
+            });
+            modal.addEventListener('click', e => {
+                if (e.target === modal) close(null);
+            });
+            setTimeout(() => input.select(), 50);
+        });
+    }
+
+    // Asked after "Lo he añadido a la cesta". Resolves { storeId, price }, or
+    // null when skipped or there is no store to file the price under
+    promptPurchasePrice(card) {
+        const storeNames = this.getStoreNames();
+        const cardStores = this.labels.filter(l => card.idLabels.includes(l.id) && storeNames.includes(l.name));
+        if (cardStores.length === 0) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const existingModal = document.getElementById('purchase-price-modal');
+            if (existingModal) existingModal.remove();
+
+            let selectedStoreId = (this.getPurchaseStore(card) || cardStores[0]).id;
+            const quantity = this.formatCardQuantity(card);
+
+            const modal = document.createElement('div');
+            modal.id = 'purchase-price-modal';
+            modal.className = 'modal-overlay';
+            modal.style.zIndex = '450';
+            modal.innerHTML = `
+                <div class="modal" style="max-width: 420px;">
+                    <div class="modal-header">
+                        <h3 class="modal-title">¿Cuánto ha costado?</h3>
+                        <button class="modal-close" id="purchase-price-close">×</button>
+                    </div>
+
+                    <div class="modal-section">
+                        <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
+                            <strong style="color: var(--text);">"${this.escapeHtml(card.name)}"</strong>${quantity ? ` · ${quantity}` : ''}
+                        </p>
+
+                        <input id="purchase-price-input" class="input" type="text" inputmode="decimal" placeholder="Precio total (€)">
+                        ${cardStores.length > 1 ? `
+                            <div class="quantity-units">
+                                ${cardStores.map(store => `
+                                    <button class="quantity-unit ${store.id === selectedStoreId ? 'selected' : ''}" data-store-id="${store.id}">${this.escapeHtml(store.name)}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+
+                        <div style="display: flex; gap: 12px; margin-top: 20px;">
+                            <button class="btn btn-secondary" id="purchase-price-skip" style="flex: 1;">Omitir</button>
+                            <button class="btn btn-primary" id="purchase-price-save" style="flex: 1;">Guardar</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const close = result => {
+                modal.remove();
+                resolve(result);
+            };
+
+            document.body.appendChild(modal);
+            const input = document.getElementById('purchase-price-input');
+
+            const save = () => {
+                const price = parseFloat(input.value.replace(',', '.'));
+                if (!Number.isFinite(price) || price < 0) {
+                    this.showToast('Introduce un precio válido');
+                    return;
+                }
+                close({ storeId: selectedStoreId, price: Math.round(price * 100) / 100 });
+            };
+
+            modal.querySelectorAll('[data-store-id]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    selectedStoreId = btn.dataset.storeId;
+                    modal.querySelectorAll('[data-store-id]').forEach(b => b.classList.toggle('selected', b === btn));
+                });
+            });
+
+            document.getElementById('purchase-price-close').addEventListener('click', () => close(null));
+            document.getElementById('purchase-price-skip').addEventListener('click', () => close(null));
+            document.getElementById('purchase-price-save').addEventListener('click', save);
+            input.addEventListener('keypress', e => {
+                if (e.key === 'Enter') save();
+            });
+            modal.addEventListener('click', e => {
+                if (e.target === modal) close(null);
+            });
+            setTimeout(() => input.focus(), 50);
+        });
+    }
+
     async toggleProduct(cardId) {
         const card = this.cards.find(c => c.id === cardId);
         if (!card) return;
@@ -1990,6 +2609,9 @@ class TrelloShoppingApp {
         const isRemoving = card.idList === this.activeList.id;
         const removeReason = isRemoving ? await this.promptRemoveReason(card) : null;
         if (isRemoving && !removeReason) return;
+        const purchase = removeReason === 'purchased' ? await this.promptPurchasePrice(card) : null;
+        const quantity = isRemoving ? null : await this.promptQuantity(card);
+        if (!isRemoving && !quantity) return;
         if (!(await this.ensureCurrentUserName())) return;
 
         const targetListId = card.idList === this.activeList.id
@@ -2008,7 +2630,15 @@ class TrelloShoppingApp {
         this.applyCardMoveToDom(cardId, targetListId, previousListId);
         this.scheduleRenderAfterCardMove();
         this.saveBoardCacheSoon();
-        this.persistCardMove(card, previousListId, targetListId, historyEntry);
+        this.scheduleCardToggle({
+            card,
+            previousListId,
+            targetListId,
+            historyEntry,
+            quantity,
+            otherChanges: purchase ? { prices: this.addPriceEntry(card, purchase) } : {},
+            message: `${card.name} ${isRemoving ? 'quitado de' : 'añadido a'} la lista`
+        });
     }
 
     refresh({ background = false } = {}) {
@@ -2044,6 +2674,11 @@ class TrelloShoppingApp {
     renderShoppingMode() {
         const container = document.getElementById('shopping-mode-container');
 
+        // A trip in progress always reopens on its store
+        if (!this.selectedStore && this.trip) {
+            this.selectedStore = this.labels.find(l => l.id === this.trip.storeId) || null;
+        }
+
         // If no store selected, show store selector
         if (!this.selectedStore) {
             this.renderStoreSelector(container);
@@ -2075,17 +2710,24 @@ class TrelloShoppingApp {
         storeLabels.forEach(store => {
             const icon = this.getStoreIcon(store.name);
             html += `
-                <button class="shopping-store-card" data-store-id="${store.id}">
-                    <div class="shopping-store-icon" style="background: ${this.getLabelColorHex(store.color)}20; color: ${this.getLabelColorHex(store.color)}">
-                        ${icon}
-                    </div>
-                    <span class="shopping-store-name">${store.name}</span>
-                </button>
+                <div class="shopping-store-item">
+                    <button class="shopping-store-card" data-store-id="${store.id}">
+                        <div class="shopping-store-icon" style="background: ${this.getLabelColorHex(store.color)}20; color: ${this.getLabelColorHex(store.color)}">
+                            ${icon}
+                        </div>
+                        <span class="shopping-store-name">${store.name}</span>
+                    </button>
+                    <button class="shopping-store-share" data-store-id="${store.id}" title="Compartir la lista de ${this.escapeHtml(store.name)}">📤</button>
+                </div>
             `;
         });
 
         html += `
                     </div>
+                    <div class="shopping-share">
+                        <button class="btn btn-secondary" id="share-list-btn">📤 Compartir lista</button>
+                        <button class="btn btn-secondary" id="print-list-btn" style="margin-top: 8px;">🖨️ Imprimir o guardar PDF</button>
+                    </div>
                 </div>
             </div>
         `;
@@ -2097,6 +2739,9 @@ class TrelloShoppingApp {
             this.showStoreCards();
         });
 
+        document.getElementById('share-list-btn')?.addEventListener('click', () => this.showShareListModal());
+        document.getElementById('print-list-btn')?.addEventListener('click', () => this.showPrintListModal());
+
         container.querySelectorAll('.shopping-store-card').forEach(btn => {
             btn.addEventListener('click', () => {
                 const storeId = btn.dataset.storeId;
@@ -2104,6 +2749,10 @@ class TrelloShoppingApp {
                 this.renderShoppingMode();
             });
         });
+
+        container.querySelectorAll('.shopping-store-share').forEach(btn => {
+            btn.addEventListener('click', () => this.showShareListModal(btn.dataset.storeId));
+        });
     }
 
     renderShoppingView(container) {
@@ -2111,13 +2760,8 @@ class TrelloShoppingApp {
         const storeProducts = this.cards.filter(c => c.idLabels.includes(this.selectedStore.id));
         const activeStoreProducts = storeProducts.filter(c => c.idList === this.activeList?.id);
 
-        // Get location labels (excluding store names), sorted alphabetically
-        const storeNames = this.getStoreNames();
-        const locationLabels = this.labels
-            .filter(l => !storeNames.includes(l.name))
-            .sort((a, b) => a.name.localeCompare(b.name, 'es'));
-
         const storeIcon = this.getStoreIcon(this.selectedStore.name);
+        const estimate = this.getEstimatedTotal(activeStoreProducts, this.selectedStore.id);
 
         let html = `
             <div class="shopping-view">
@@ -2127,18 +2771,28 @@ class TrelloShoppingApp {
                         <span>${storeIcon}</span>
                         <strong>${this.selectedStore.name}</strong>
                     </div>
+                    ${estimate.priced > 0 ? `
+                        <div class="shopping-estimate">
+                            Total estimado: <strong>${this.formatPrice(estimate.total)}</strong>
+                            ${estimate.unpriced > 0 ? `<span>· ${estimate.unpriced} sin precio</span>` : ''}
+                        </div>
+                    ` : ''}
                 </div>
 
+                ${this.renderTripBar(activeStoreProducts)}
+
                 <div class="shopping-active-list">
-                    <h3>📋 En tu lista (${activeStoreProducts.length})</h3>
+                    <div class="shopping-active-title">
+                        <h3>📋 En tu lista (${activeStoreProducts.length})</h3>
+                        <div class="shopping-active-tools">
+                            <button class="shopping-tool-btn" id="shopping-sort-btn">${this.getShoppingSortMode() === 'learned' ? '🧠 Orden aprendido' : '🔤 Alfabético'}</button>
+                            <button class="shopping-tool-btn" id="edit-aisles-btn">🧭 Pasillos</button>
+                        </div>
+                    </div>
         `;
 
         if (activeStoreProducts.length > 0) {
-            html += '<div class="shopping-products">';
-            activeStoreProducts.forEach(card => {
-                html += this.renderShoppingProduct(card, true);
-            });
-            html += '</div>';
+            html += this.renderProductsByAisle(this.sortShoppingProducts(activeStoreProducts));
         } else {
             html += '<p class="empty-message">No hay productos de esta tienda en tu lista</p>';
         }
@@ -2148,24 +2802,21 @@ class TrelloShoppingApp {
         // Group all store products by location
         html += '<div class="shopping-locations"><h3>🏠 Revisar por ubicación</h3>';
 
-        locationLabels.forEach(location => {
-            const locationProducts = storeProducts.filter(c => c.idLabels.includes(location.id));
-            
-            if (locationProducts.length > 0) {
-                const inList = locationProducts.filter(c => c.idList === this.activeList?.id).length;
-                
-                html += `
-                    <div class="location-section">
-                        <div class="location-header" style="background: ${this.getLabelColorHex(location.color)}">
-                            ${location.name}
-                            <span class="count">${inList}/${locationProducts.length}</span>
-                        </div>
-                        <div class="shopping-products">
-                            ${locationProducts.map(card => this.renderShoppingProduct(card, card.idList === this.activeList?.id)).join('')}
-                        </div>
+        const [storeGroup] = this.getActiveListGroups(this.selectedStore.id, { onlyInList: false });
+        (storeGroup?.locations || []).forEach(({ location, name, cards: locationProducts }) => {
+            const inList = locationProducts.filter(c => c.idList === this.activeList?.id).length;
+
+            html += `
+                <div class="location-section">
+                    <div class="location-header" style="background: ${this.getLabelColorHex(location?.color)}">
+                        ${name}
+                        <span class="count">${inList}/${locationProducts.length}</span>
                     </div>
-                `;
-            }
+                    <div class="shopping-products">
+                        ${locationProducts.map(card => this.renderShoppingProduct(card, card.idList === this.activeList?.id)).join('')}
+                    </div>
+                </div>
+            `;
         });
 
         html += '</div></div>';
@@ -2180,281 +2831,3730 @@ class TrelloShoppingApp {
         });
 
         container.querySelectorAll('.shopping-product').forEach(productEl => {
-            productEl.addEventListener('click', () => this.toggleCardActive(productEl.dataset.cardId));
+            productEl.addEventListener('click', async () => {
+                const cardId = productEl.dataset.cardId;
+                const storeId = this.selectedStore.id;
+                const wasInList = productEl.classList.contains('in-list');
+
+                if (this.isTripActive() && wasInList) {
+                    this.toggleTripCart(cardId);
+                    if (this.trip.cart.includes(cardId)) this.notePick(storeId, cardId);
+                    return;
+                }
+
+                await this.toggleCardActive(cardId);
+                const card = this.cards.find(c => c.id === cardId);
+                if (wasInList && card && card.idList !== this.activeList?.id) {
+                    this.notePick(storeId, cardId);
+                }
+            });
+        });
+
+        document.getElementById('shopping-sort-btn')?.addEventListener('click', () => {
+            localStorage.setItem('shopping_sort_mode', this.getShoppingSortMode() === 'learned' ? 'alphabetical' : 'learned');
+            this.renderShoppingMode();
         });
+
+        document.getElementById('edit-aisles-btn')?.addEventListener('click', () => this.showStoreAislesModal(this.selectedStore.name));
+        document.getElementById('trip-start-btn')?.addEventListener('click', () => this.startTrip());
+        document.getElementById('trip-finish-btn')?.addEventListener('click', () => this.finishTrip());
+        document.getElementById('trip-cancel-btn')?.addEventListener('click', () => this.cancelTrip());
+    }
+
+    // Location sections (see getActiveListGroups): the location labels (store
+    // names excluded) alphabetically, each with the given cards that carry it
+    getLocationGroups(cards) {
+        const storeNames = this.getStoreNames();
+        return this.labels
+            .filter(l => !storeNames.includes(l.name))
+            .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+            .map(location => ({ location, cards: cards.filter(c => c.idLabels.includes(location.id)) }))
+            .filter(group => group.cards.length > 0);
+    }
+
+    // Products by store and then by location, as the share text, the printed
+    // list and the shopping view show them. With a storeId only that store,
+    // otherwise every store plus "Sin tienda"; "Sin ubicación" comes last in
+    // each store. Only "Lista Activa" unless `onlyInList` is false (the
+    // shopping view also lists what is not needed yet). Empty groups are left out.
+    getActiveListGroups(storeId = '', { onlyInList = true } = {}) {
+        const storeNames = this.getStoreNames();
+        const cards = this.cards
+            .filter(card => !onlyInList || card.idList === this.activeList?.id)
+            .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+        const storeLabels = this.labels
+            .filter(l => storeNames.includes(l.name) && (!storeId || l.id === storeId));
+
+        const stores = storeLabels.map(store => ({
+            store,
+            title: `${this.getStoreIcon(store.name)} ${store.name}`,
+            cards: cards.filter(card => card.idLabels.includes(store.id))
+        }));
+        if (!storeId) {
+            stores.push({
+                store: null,
+                title: 'Sin tienda',
+                cards: cards.filter(card => !card.idLabels.some(id => storeLabels.some(l => l.id === id)))
+            });
+        }
+
+        return stores
+            .filter(group => group.cards.length > 0)
+            .map(group => {
+                const locations = this.getLocationGroups(group.cards)
+                    .map(({ location, cards }) => ({ location, name: location.name, cards }));
+                const unlocated = group.cards.filter(card => !locations.some(l => l.cards.includes(card)));
+                if (unlocated.length > 0) {
+                    locations.push({ location: null, name: 'Sin ubicación', cards: unlocated });
+                }
+                return { ...group, locations };
+            });
     }
 
     renderShoppingProduct(card, isInList) {
+        const quantity = isInList ? this.formatCardQuantity(card) : '';
+
+        const inCart = isInList && this.isTripActive() && this.trip.cart.includes(card.id);
+
         return `
-            <div class="shopping-product ${isInList ? 'in-list' : ''}" data-card-id="${card.id}">
+            <div class="shopping-product ${isInList ? 'in-list' : ''} ${inCart ? 'in-cart' : ''}" data-card-id="${card.id}">
                 <div class="product-checkbox ${isInList ? 'checked' : ''}"></div>
                 <div class="product-name">${card.name}</div>
+                ${quantity ? `<div class="product-quantity large">${quantity}</div>` : ''}
             </div>
         `;
     }
 
-    // ==================== Actions ====================
+    // ==================== Aisles ====================
 
-    async toggleCardActive(cardId) {
-        const card = this.cards.find(c => c.id === cardId);
-        if (!card) return;
+    // Each store can have an ordered list of aisles (the walk through the
+    // shop), kept in the board metadata so every device and household member
+    // sees the same: { aisles: { [storeLabelId]: ['Fruta', ...] } }. Products
+    // say which aisle they are in per store label, in their card metadata:
+    // { aisles: { [storeLabelId]: 'Fruta' } }.
 
-        const isCurrentlyActive = card.idList === this.activeList?.id;
-        const removeReason = isCurrentlyActive ? await this.promptRemoveReason(card) : null;
-        if (isCurrentlyActive && !removeReason) return;
-        if (!(await this.ensureCurrentUserName())) return;
+    getStoreAisles(storeName) {
+        const label = this.labels.find(l => l.name === storeName);
+        const aisles = label && this.getBoardMeta().aisles?.[label.id];
+        if (aisles) return aisles;
 
-        const targetList = isCurrentlyActive ? this.allProductsList : this.activeList;
-        const historyEntry = this.buildHistoryEntry(card, isCurrentlyActive ? 'removed' : 'added', removeReason);
+        // Versions before the board metadata kept them in this device's config
+        return this.config.stores.find(s => s.name === storeName)?.aisles || [];
+    }
 
-        // Optimistic update - update UI immediately
-        const previousListId = card.idList;
-        card.idList = targetList.id;
+    saveStoreAisles(storeName, aisles) {
+        const label = this.labels.find(l => l.name === storeName);
+        if (!label) return;
 
-        if (isCurrentlyActive) {
-            this.addToRecentProducts(cardId);
-        }
-        this.applyCardMoveToDom(cardId, targetList.id, previousListId);
-        this.scheduleRenderAfterCardMove();
-        this.saveBoardCacheSoon();
-        this.persistCardMove(card, previousListId, targetList.id, historyEntry);
+        this.saveBoardMeta({ aisles: { [label.id]: aisles } });
 
-        const action = isCurrentlyActive ? 'quitado de' : 'añadido a';
-        this.showToast(`${card.name} ${action} la lista`);
+        const store = this.config.stores.find(s => s.name === storeName);
+        if (store?.aisles) {
+            delete store.aisles;
+            this.saveConfig(this.config);
+        }
     }
 
-    persistCardMove(card, previousListId, targetListId, historyEntry) {
-        window.setTimeout(async () => {
-            try {
-                await this.moveCard(card.id, targetListId);
-                this.removePendingMove(card.id);
-                await this.recordOrQueueCardHistory(historyEntry);
-                this.saveBoardCacheSoon();
-            } catch (error) {
-                if (this.isNetworkError(error)) {
-                    this.enqueueCardMove(card.id, targetListId, historyEntry);
-                    this.showToast('Cambio guardado offline. Se sincronizara al volver la conexion.');
-                    return;
-                }
-
-                card.idList = previousListId;
-                this.saveBoardCacheSoon();
-                this.renderAfterCardMove();
-                this.showToast('Error: ' + error.message);
-            }
-        }, 0);
+    // null when unassigned or the aisle no longer exists
+    getCardAisle(card, storeLabel) {
+        const aisle = this.getCardMeta(card).aisles?.[storeLabel.id];
+        return this.getStoreAisles(storeLabel.name).includes(aisle) ? aisle : null;
     }
 
-    enqueueCardMove(cardId, targetListId, history = null) {
-        const moves = this.loadPendingMoves().filter(move => move.cardId !== cardId);
-        moves.push({
-            cardId,
-            targetListId,
-            history,
-            createdAt: new Date().toISOString()
-        });
-        console.log('📦 Cambio offline encolado:', { cardId, targetListId, pending: moves.length });
-        this.savePendingMoves(moves);
-        this.saveBoardCache();
-    }
+    setCardAisle(cardId, storeId, aisle) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) return;
 
-    removePendingMove(cardId) {
-        const moves = this.loadPendingMoves();
-        const nextMoves = moves.filter(move => move.cardId !== cardId);
-        if (nextMoves.length !== moves.length) {
-            this.savePendingMoves(nextMoves);
+        const aisles = { ...this.getCardMeta(card).aisles };
+        if (aisle) {
+            aisles[storeId] = aisle;
+        } else {
+            delete aisles[storeId];
         }
+        this.saveCardMeta(card, { aisles: Object.keys(aisles).length > 0 ? aisles : null });
+        if (this.currentView === 'shopping') this.renderShoppingMode();
     }
 
-    schedulePendingSync() {
-        if (this.pendingSyncTimer || (this.loadPendingMoves().length === 0 && this.loadPendingHistory().length === 0)) return;
+    // Active products in walking order, unassigned ones last; a flat list
+    // while the store has no aisles
+    renderProductsByAisle(cards) {
+        const aisles = this.getStoreAisles(this.selectedStore.name);
+        if (aisles.length === 0) {
+            return `<div class="shopping-products">${cards.map(card => this.renderShoppingProduct(card, true)).join('')}</div>`;
+        }
 
-        this.pendingSyncTimer = window.setTimeout(async () => {
-            this.pendingSyncTimer = null;
-            await this.syncPendingMovesAndRefresh({ silent: true });
+        return [...aisles, null].map(aisle => {
+            const aisleCards = cards.filter(card => this.getCardAisle(card, this.selectedStore) === aisle);
+            if (aisleCards.length === 0) return '';
 
-            if (this.loadPendingMoves().length > 0 || this.loadPendingHistory().length > 0) {
-                this.schedulePendingSync();
-            }
-        }, 5000);
+            return `
+                <div class="aisle-section">
+                    <div class="aisle-header">${this.escapeHtml(aisle || 'Sin pasillo')}</div>
+                    <div class="shopping-products">
+                        ${aisleCards.map(card => this.renderShoppingProduct(card, true)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
-    async syncPendingMovesAndRefresh({ silent = false } = {}) {
-        if (!this.selectedBoardId) return false;
+    renderAisleDetail(card) {
+        const storeLabels = this.labels.filter(l =>
+            card.idLabels.includes(l.id) && this.getStoreAisles(l.name).length > 0
+        );
+        if (storeLabels.length === 0) return '';
 
-        const hadMoves = this.loadPendingMoves().length > 0 || this.loadPendingHistory().length > 0;
-        const synced = await this.syncPendingMoves({ silent });
+        return `
+            <div class="product-detail-section">
+                <span class="product-detail-label">🧭 Pasillo</span>
+                ${storeLabels.map(store => {
+                    const current = this.getCardAisle(card, store);
+                    return `
+                        <label class="aisle-picker">
+                            <span>${this.escapeHtml(store.name)}</span>
+                            <select class="config-input" onchange="app.setCardAisle('${card.id}', '${store.id}', this.value)">
+                                <option value="">Sin pasillo</option>
+                                ${this.getStoreAisles(store.name).map(aisle => `
+                                    <option value="${this.escapeHtml(aisle)}" ${aisle === current ? 'selected' : ''}>${this.escapeHtml(aisle)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    showStoreAislesModal(storeName) {
+        const existingModal = document.getElementById('store-aisles-modal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'store-aisles-modal';
+        modal.className = 'modal-overlay';
+        modal.style.zIndex = '450';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 420px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">🧭 Pasillos de ${this.escapeHtml(storeName)}</h3>
+                    <button class="modal-close" id="store-aisles-close">×</button>
+                </div>
+                <div class="modal-section">
+                    <p class="stats-muted" style="margin-bottom: 12px; white-space: normal;">Arrastra para ponerlos en el orden en que recorres la tienda.</p>
+                    <div class="config-list" id="store-aisles-list"></div>
+                </div>
+                <div class="modal-section" style="display: flex; gap: 8px;">
+                    <input type="text" id="new-aisle-name" class="config-input" placeholder="Nuevo pasillo o sección">
+                    <button class="btn btn-primary" id="add-aisle-btn" style="width: auto;">Añadir</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const list = document.getElementById('store-aisles-list');
+        const render = () => {
+            const aisles = this.getStoreAisles(storeName);
+            list.innerHTML = aisles.length > 0 ? aisles.map((aisle, index) => `
+                <div class="config-item aisle-item" data-index="${index}">
+                    <span class="aisle-drag-handle" data-drag-handle>⠿</span>
+                    <span class="config-item-name">${this.escapeHtml(aisle)}</span>
+                    <button class="btn btn-danger btn-sm" data-remove-aisle="${index}" title="Eliminar pasillo">×</button>
+                </div>
+            `).join('') : '<p class="stats-muted" style="text-align: center; padding: 12px;">Sin pasillos todavía</p>';
+
+            list.querySelectorAll('[data-remove-aisle]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const next = [...this.getStoreAisles(storeName)];
+                    next.splice(Number(btn.dataset.removeAisle), 1);
+                    this.saveStoreAisles(storeName, next);
+                    render();
+                });
+            });
+
+            this.makeSortable(list, order => {
+                const current = this.getStoreAisles(storeName);
+                this.saveStoreAisles(storeName, order.map(index => current[index]));
+                render();
+            });
+        };
+
+        const input = document.getElementById('new-aisle-name');
+        const addAisle = () => {
+            const name = input.value.trim();
+            const aisles = this.getStoreAisles(storeName);
+            if (!name || aisles.includes(name)) {
+                input.focus();
+                return;
+            }
+
+            this.saveStoreAisles(storeName, [...aisles, name]);
+            input.value = '';
+            render();
+        };
+
+        const closeModal = () => {
+            modal.remove();
+            if (this.currentView === 'shopping') this.renderShoppingMode();
+        };
+
+        document.getElementById('store-aisles-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closeModal();
+        });
+        document.getElementById('add-aisle-btn').addEventListener('click', addAisle);
+        input.addEventListener('keypress', e => {
+            if (e.key === 'Enter') addAisle();
+        });
+
+        render();
+    }
+
+    // Drag and drop reordering with pointer events, so it also works on touch
+    // screens. Items carry data-index and are dragged by their [data-drag-handle];
+    // `onReorder` gets the data-index values in their new order.
+    makeSortable(listEl, onReorder) {
+        listEl.querySelectorAll('[data-drag-handle]').forEach(handle => {
+            handle.addEventListener('pointerdown', e => {
+                const item = handle.closest('[data-index]');
+                e.preventDefault();
+                handle.setPointerCapture(e.pointerId);
+                item.classList.add('dragging');
+
+                const move = event => {
+                    const target = document.elementFromPoint(event.clientX, event.clientY)?.closest('[data-index]');
+                    if (!target || target === item || target.parentElement !== listEl) return;
+
+                    const rect = target.getBoundingClientRect();
+                    listEl.insertBefore(item, event.clientY > rect.top + rect.height / 2 ? target.nextSibling : target);
+                };
+
+                const end = () => {
+                    handle.removeEventListener('pointermove', move);
+                    handle.removeEventListener('pointerup', end);
+                    handle.removeEventListener('pointercancel', end);
+                    item.classList.remove('dragging');
+                    onReorder([...listEl.querySelectorAll('[data-index]')].map(el => Number(el.dataset.index)));
+                };
+
+                handle.addEventListener('pointermove', move);
+                handle.addEventListener('pointerup', end);
+                handle.addEventListener('pointercancel', end);
+            });
+        });
+    }
+
+    // ==================== Pick Order ====================
+
+    // Every product ticked off at a store is appended to that store's current
+    // sequence. Finished sequences are combined by average relative position
+    // (0 = picked first, 1 = picked last) into the order "En tu lista" uses.
+
+    getPickOrderKey() {
+        return `pick_order_${this.selectedBoardId}`;
+    }
+
+    async loadPickOrder() {
+        this.pickOrder = (this.selectedBoardId && await this.storage.getValue(this.getPickOrderKey())) || {};
+    }
+
+    savePickOrder() {
+        this.storage.setValue(this.getPickOrderKey(), this.pickOrder).catch(error => {
+            console.warn('No se pudo guardar el orden de recogida:', error);
+        });
+    }
+
+    notePick(storeId, cardId) {
+        const now = Date.now();
+        const store = this.pickOrder[storeId] || (this.pickOrder[storeId] = { current: null, trips: [] });
+        if (store.current && now - store.current.lastAt > PICK_SESSION_GAP_MS) {
+            this.closePickSequence(storeId);
+        }
+
+        if (!store.current) store.current = { lastAt: now, cardIds: [] };
+        if (!store.current.cardIds.includes(cardId)) store.current.cardIds.push(cardId);
+        store.current.lastAt = now;
+        this.savePickOrder();
+    }
+
+    closePickSequence(storeId) {
+        const store = this.pickOrder[storeId];
+        if (!store?.current) return;
+
+        // A single tick says nothing about order
+        if (store.current.cardIds.length >= 2) {
+            store.trips = [...store.trips, store.current.cardIds].slice(-PICK_ORDER_MAX_TRIPS);
+        }
+        store.current = null;
+        this.savePickOrder();
+    }
+
+    // cardId -> average relative position over the finished sequences
+    getPickRanks(storeId) {
+        const store = this.pickOrder[storeId];
+        if (store?.current && Date.now() - store.current.lastAt > PICK_SESSION_GAP_MS) {
+            this.closePickSequence(storeId);
+        }
+
+        const totals = new Map();
+        (store?.trips || []).forEach(cardIds => {
+            cardIds.forEach((cardId, index) => {
+                const total = totals.get(cardId) || { sum: 0, count: 0 };
+                total.sum += index / (cardIds.length - 1);
+                total.count++;
+                totals.set(cardId, total);
+            });
+        });
+
+        return new Map([...totals].map(([cardId, total]) => [cardId, total.sum / total.count]));
+    }
+
+    getShoppingSortMode() {
+        return localStorage.getItem('shopping_sort_mode') || 'learned';
+    }
+
+    // Products never picked at this store go last, alphabetically
+    sortShoppingProducts(cards) {
+        const byName = (a, b) => a.name.localeCompare(b.name, 'es');
+        if (this.getShoppingSortMode() !== 'learned') return [...cards].sort(byName);
+
+        const ranks = this.getPickRanks(this.selectedStore.id);
+        return [...cards].sort((a, b) => (ranks.get(a.id) ?? 2) - (ranks.get(b.id) ?? 2) || byName(a, b));
+    }
+
+    // ==================== Shopping Trips ====================
+
+    // While a trip is running, ticking an item only puts it in the cart (kept
+    // in IndexedDB so a reload does not lose it). Finishing the trip moves the
+    // whole cart out of "Lista Activa" as purchased and files an archived
+    // "🧾 Compra ..." card on Trello with what was bought and what was not.
+
+    getTripKey() {
+        return `shopping_trip_${this.selectedBoardId}`;
+    }
+
+    async loadTrip() {
+        this.trip = this.selectedBoardId ? await this.storage.getValue(this.getTripKey()) : null;
+    }
+
+    saveTrip() {
+        this.storage.setValue(this.getTripKey(), this.trip).catch(error => {
+            console.warn('No se pudo guardar la compra en curso:', error);
+        });
+    }
+
+    // Only for the store on screen: a trip belongs to one store
+    isTripActive() {
+        return !!this.trip && this.trip.storeId === this.selectedStore?.id;
+    }
+
+    renderTripBar(activeStoreProducts) {
+        if (!this.trip) {
+            return `
+                <div class="trip-bar">
+                    <button class="btn btn-primary" id="trip-start-btn">▶️ Empezar compra</button>
+                </div>
+            `;
+        }
+
+        if (!this.isTripActive()) {
+            const tripStore = this.labels.find(l => l.id === this.trip.storeId);
+            return `
+                <div class="trip-bar">
+                    <span class="trip-info">Compra en curso en ${this.escapeHtml(tripStore?.name || 'otra tienda')}</span>
+                </div>
+            `;
+        }
+
+        const inCart = activeStoreProducts.filter(card => this.trip.cart.includes(card.id)).length;
+        return `
+            <div class="trip-bar active">
+                <span class="trip-info">🛒 ${inCart}/${activeStoreProducts.length} en el carrito · desde ${this.formatTripTime(this.trip.startedAt)}</span>
+                <div class="trip-actions">
+                    <button class="btn btn-ghost" id="trip-cancel-btn">Cancelar</button>
+                    <button class="btn btn-primary" id="trip-finish-btn">Terminar compra</button>
+                </div>
+            </div>
+        `;
+    }
+
+    formatTripTime(dateValue) {
+        return new Intl.DateTimeFormat('es', { hour: '2-digit', minute: '2-digit' }).format(new Date(dateValue));
+    }
+
+    async startTrip() {
+        if (!this.selectedStore) return;
+        if (!(await this.ensureCurrentUserName())) return;
+
+        this.trip = {
+            storeId: this.selectedStore.id,
+            startedAt: new Date().toISOString(),
+            user: this.getCurrentUserLabel(),
+            cart: []
+        };
+        this.saveTrip();
+        this.renderShoppingMode();
+    }
+
+    toggleTripCart(cardId) {
+        const cart = this.trip.cart;
+        this.trip.cart = cart.includes(cardId) ? cart.filter(id => id !== cardId) : [...cart, cardId];
+        this.saveTrip();
+        this.renderShoppingMode();
+    }
+
+    cancelTrip() {
+        if (this.trip.cart.length > 0 && !confirm('¿Cancelar la compra? Los productos del carrito seguirán en la lista.')) return;
+
+        this.trip = null;
+        this.saveTrip();
+        this.renderShoppingMode();
+    }
+
+    async finishTrip() {
+        const trip = this.trip;
+        if (trip.cart.length === 0) {
+            this.showToast('El carrito está vacío');
+            return;
+        }
+        const store = this.labels.find(l => l.id === trip.storeId);
+        const storeCards = this.cards.filter(c => c.idLabels.includes(trip.storeId) && c.idList === this.activeList?.id);
+        const purchased = storeCards.filter(card => trip.cart.includes(card.id));
+        const left = storeCards.filter(card => !trip.cart.includes(card.id));
+
+        const finishedTrip = {
+            ...trip,
+            storeName: store?.name || '',
+            finishedAt: new Date().toISOString(),
+            items: purchased.map(card => ({ cardId: card.id, name: card.name, quantity: this.formatCardQuantity(card) })),
+            left: left.map(card => ({ cardId: card.id, name: card.name, quantity: this.formatCardQuantity(card) }))
+        };
+
+        purchased.forEach(card => {
+            const previousListId = card.idList;
+            const historyEntry = this.buildHistoryEntry(card, 'removed', 'purchased');
+            this.noteReplenishmentEvent(historyEntry);
+            card.idList = this.allProductsList.id;
+            this.addToRecentProducts(card.id);
+            this.persistCardMove(card, previousListId, this.allProductsList.id, historyEntry);
+            this.saveCardQuantity(card, null);
+        });
+
+        this.trip = null;
+        this.saveTrip();
+        this.closePickSequence(trip.storeId);
+        this.saveBoardCacheSoon();
+        this.renderShoppingMode();
+        this.showTripSummary(finishedTrip);
+
+        try {
+            await this.recordTrip(finishedTrip);
+        } catch (error) {
+            console.warn('No se pudo guardar la compra en Trello:', error);
+        }
+    }
+
+    // Archived card: out of the lists the app shows, but kept in Trello's archive
+    async recordTrip(trip) {
+        const formatItems = items => items.map(item => `- ${item.name}${item.quantity ? ` (${item.quantity})` : ''}`).join('\n');
+        const date = new Intl.DateTimeFormat('es', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }).format(new Date(trip.startedAt));
+
+        const notes = [
+            `${trip.user} · ${this.formatTripTime(trip.startedAt)}–${this.formatTripTime(trip.finishedAt)}`,
+            `Comprado (${trip.items.length}):\n${formatItems(trip.items)}`,
+            trip.left.length > 0 ? `Sin comprar (${trip.left.length}):\n${formatItems(trip.left)}` : ''
+        ].filter(Boolean).join('\n\n');
+
+        const card = await this.createCardOrQueue(
+            this.allProductsList.id,
+            `🧾 Compra ${trip.storeName} · ${date}`,
+            [],
+            this.buildCardDesc(notes, { trip })
+        );
+
+        await this.runOrQueueOperation(
+            [card.id],
+            () => this.updateCard(card.id, { closed: true }),
+            () => this.enqueueOperation('updateCard', { cardId: card.id, data: { closed: true } })
+        );
+    }
+
+    showTripSummary(trip) {
+        const existingModal = document.getElementById('trip-summary-modal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'trip-summary-modal';
+        modal.className = 'modal-overlay';
+        modal.style.zIndex = '450';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 420px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">🧾 Compra terminada</h3>
+                    <button class="modal-close" id="trip-summary-close">×</button>
+                </div>
+
+                <div class="modal-section">
+                    <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
+                        ${trip.items.length} producto${trip.items.length === 1 ? '' : 's'} comprado${trip.items.length === 1 ? '' : 's'} en
+                        <strong style="color: var(--text);">${this.escapeHtml(trip.storeName)}</strong>
+                        (${this.formatTripTime(trip.startedAt)}–${this.formatTripTime(trip.finishedAt)}).
+                    </p>
+
+                    ${trip.left.length > 0 ? `
+                        <div class="modal-section-title">Sin comprar (${trip.left.length})</div>
+                        <div class="stats-list">
+                            ${trip.left.map(item => `
+                                <div class="stats-row">
+                                    <span>${this.escapeHtml(item.name)}</span>
+                                    ${item.quantity ? `<span class="stats-muted">${item.quantity}</span>` : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                        <p class="stats-muted" style="margin-top: 8px;">Siguen en la lista para la próxima compra.</p>
+                    ` : '<p class="product-detail-desc">¡No falta nada! 🎉</p>'}
+
+                    <button class="btn btn-primary" id="trip-summary-done" style="margin-top: 20px;">Cerrar</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => modal.remove();
+        document.getElementById('trip-summary-close').addEventListener('click', close);
+        document.getElementById('trip-summary-done').addEventListener('click', close);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) close();
+        });
+    }
+
+    // ==================== Card Metadata ====================
+
+    // Splits a description into the user's notes and the structured values
+    // stored after CARD_META_PREFIX on its last line
+    parseCardDesc(desc = '') {
+        const lines = (desc || '').split('\n');
+        const lastLine = lines[lines.length - 1] || '';
+
+        if (lastLine.startsWith(CARD_META_PREFIX)) {
+            try {
+                const meta = JSON.parse(lastLine.slice(CARD_META_PREFIX.length));
+                return { notes: lines.slice(0, -1).join('\n').trim(), meta };
+            } catch (error) {
+                console.warn('Metadatos de tarjeta ilegibles:', lastLine);
+            }
+        }
+
+        return { notes: desc || '', meta: {} };
+    }
+
+    buildCardDesc(notes, meta) {
+        const values = Object.fromEntries(Object.entries(meta).filter(([, value]) => value !== null && value !== undefined));
+        if (Object.keys(values).length === 0) return notes;
+
+        const metaLine = `${CARD_META_PREFIX}${JSON.stringify(values)}`;
+        return notes ? `${notes}\n\n${metaLine}` : metaLine;
+    }
+
+    getCardNotes(card) {
+        return this.parseCardDesc(card.desc).notes;
+    }
+
+    getCardMeta(card) {
+        return this.parseCardDesc(card.desc).meta;
+    }
+
+    // Values shared by the whole board (store aisles) live in the board
+    // description, with the same marker as the cards
+    getBoardMeta() {
+        return this.parseCardDesc(this.board?.desc).meta;
+    }
+
+    // `aisles` is merged store by store, so two devices editing different
+    // stores keep both orders
+    mergeBoardMeta(meta, changes) {
+        const merged = { ...meta, ...changes };
+        if (changes.aisles) merged.aisles = { ...meta.aisles, ...changes.aisles };
+        return merged;
+    }
+
+    async saveBoardMeta(changes) {
+        if (!this.board) return;
+
+        const { notes, meta } = this.parseCardDesc(this.board.desc);
+        this.board.desc = this.buildCardDesc(notes, this.mergeBoardMeta(meta, changes));
+        this.saveBoardCache();
+
+        try {
+            await this.runOrQueueOperation(
+                [],
+                () => this.writeBoardMeta(changes),
+                () => this.enqueueOperation('updateBoard', { changes })
+            );
+        } catch (error) {
+            console.warn('No se pudieron guardar los datos del tablero:', error);
+            this.showToast('Error: ' + error.message);
+        }
+    }
+
+    // Applied on top of the board as it is on the server now (also when
+    // replaying), not on the copy this device last saw
+    async writeBoardMeta(changes) {
+        const board = await this.getBoard(this.selectedBoardId);
+        const { notes, meta } = this.parseCardDesc(board.desc);
+        const desc = this.buildCardDesc(notes, this.mergeBoardMeta(meta, changes));
+        await this.updateBoard(this.selectedBoardId, { desc });
+
+        if (this.board) {
+            this.board.desc = desc;
+            this.saveBoardCache();
+        }
+    }
+
+    // Merges `changes` into the card's metadata (null removes a value) and
+    // sends the new description, queueing it like any other edit when offline
+    saveCardMeta(card, changes, options = {}) {
+        return this.saveCardDesc(card, this.buildCardDesc(this.getCardNotes(card), { ...this.getCardMeta(card), ...changes }), options);
+    }
+
+    // `queue` skips the request and queues the update (see Undo)
+    async saveCardDesc(card, desc, { queue = false } = {}) {
+        if (desc === (card.desc || '')) return;
+
+        const base = this.buildCardBase(card);
+        card.desc = desc;
+        this.saveBoardCacheSoon();
+
+        try {
+            await this.runOrQueueOperation(
+                [card.id],
+                () => this.updateCard(card.id, { desc }),
+                () => this.enqueueCardUpdate(card.id, { desc }, base),
+                { force: queue }
+            );
+        } catch (error) {
+            console.warn('No se pudieron guardar los datos del producto:', error);
+            this.showToast('Error: ' + error.message);
+        }
+    }
+
+    // `quantity` is what promptQuantity returned, or null to clear it when
+    // the product leaves the list; `otherChanges` go in the same update
+    saveCardQuantity(card, quantity, otherChanges = {}, options = {}) {
+        return this.saveCardMeta(card, {
+            quantity: quantity?.quantity ?? null,
+            unit: quantity?.unit ?? null,
+            ...otherChanges
+        }, options);
+    }
+
+    formatCardQuantity(card) {
+        const { quantity, unit } = this.getCardMeta(card);
+        if (!quantity) return '';
+        return `${String(quantity).replace('.', ',')} ${unit || QUANTITY_UNITS[0]}`;
+    }
+
+    // ==================== Replenishment ====================
+
+    // Learns how often each product is bought from the "[ShoppingList] ...
+    // quitó porque lo añadió a la cesta" comments and suggests (or, for
+    // products that opted in, adds back) the ones that are due again.
+
+    getReplenishmentKey() {
+        return `replenishment_${this.selectedBoardId}`;
+    }
+
+    async refreshReplenishment({ force = false } = {}) {
+        if (!this.selectedBoardId) return;
+
+        if (this.replenishment.boardId !== this.selectedBoardId) {
+            const saved = await this.storage.getValue(this.getReplenishmentKey());
+            this.replenishment = saved || { boardId: this.selectedBoardId, learnedAt: 0, stats: {} };
+        }
+
+        let learned = false;
+        if (force || Date.now() - this.replenishment.learnedAt >= REPLENISH_REFRESH_MS) {
+            try {
+                const comments = await this.getAllBoardComments(this.selectedBoardId);
+                this.replenishment = {
+                    boardId: this.selectedBoardId,
+                    learnedAt: Date.now(),
+                    stats: this.learnReplenishment(comments)
+                };
+                this.saveReplenishment();
+                learned = true;
+            } catch (error) {
+                // Keep what was learned last time
+                console.warn('No se pudo analizar el historial de compras:', error);
+            }
+        }
+
+        const added = this.applyAutoReplenish();
+        if (learned && added === 0 && this.currentView === 'detail' && !this.isSearchActive()) {
+            this.renderCurrentView();
+        }
+        if (added > 0) {
+            this.showToast(`🔁 ${added} producto${added === 1 ? '' : 's'} añadido${added === 1 ? '' : 's'} automáticamente`);
+        }
+    }
+
+    saveReplenishment() {
+        this.storage.setValue(this.getReplenishmentKey(), this.replenishment).catch(error => {
+            console.warn('No se pudieron guardar los intervalos de compra:', error);
+        });
+    }
+
+    learnReplenishment(comments) {
+        const events = {};
+
+        comments.forEach(action => {
+            const event = this.parseHistoryEvent(action);
+            if (!event?.cardId) return;
+
+            const cardEvents = events[event.cardId] || (events[event.cardId] = { purchases: [], lastEventAt: 0 });
+            cardEvents.lastEventAt = Math.max(cardEvents.lastEventAt, event.time);
+            if (event.reason === 'purchased') cardEvents.purchases.push(event.time);
+        });
+
+        const stats = {};
+        Object.entries(events).forEach(([cardId, { purchases, lastEventAt }]) => {
+            if (purchases.length < REPLENISH_MIN_PURCHASES) return;
+
+            purchases.sort((a, b) => a - b);
+            const intervals = purchases.slice(1).map((time, index) => time - purchases[index]).sort((a, b) => a - b);
+            const middle = Math.floor(intervals.length / 2);
+            const interval = intervals.length % 2 ? intervals[middle] : (intervals[middle - 1] + intervals[middle]) / 2;
+
+            stats[cardId] = {
+                interval,
+                purchases: purchases.length,
+                lastPurchaseAt: purchases[purchases.length - 1],
+                lastEventAt
+            };
+        });
+
+        return stats;
+    }
+
+    // Keeps the learned data in step with changes made on this device before
+    // they show up in the board's comments
+    noteReplenishmentEvent(entry) {
+        const stats = this.replenishment.stats[entry.cardId];
+        if (!stats) return;
+
+        const time = new Date(entry.createdAt).getTime();
+        stats.lastEventAt = time;
+        if (entry.action === 'removed' && entry.reason === 'purchased') {
+            stats.interval = (stats.interval * stats.purchases + (time - stats.lastPurchaseAt)) / (stats.purchases + 1);
+            stats.purchases++;
+            stats.lastPurchaseAt = time;
+        }
+        this.saveReplenishment();
+    }
+
+    // null, 'soon' or 'overdue' for products not already on the list
+    getReplenishmentStatus(card) {
+        const stats = this.replenishment.stats[card.id];
+        if (!stats || card.idList === this.activeList?.id) return null;
+
+        const dueAt = stats.lastPurchaseAt + stats.interval;
+        const soonAt = dueAt - Math.max(stats.interval * REPLENISH_SOON_RATIO, DAY_MS);
+
+        // Added or dismissed ("no hacía falta") since it became due: leave it alone
+        if (stats.lastEventAt > stats.lastPurchaseAt && stats.lastEventAt >= soonAt) return null;
+
+        const now = Date.now();
+        if (now >= dueAt) return 'overdue';
+        if (now >= soonAt) return 'soon';
+        return null;
+    }
+
+    formatReplenishmentInfo(card) {
+        const stats = this.replenishment.stats[card.id];
+        const everyDays = Math.max(1, Math.round(stats.interval / DAY_MS));
+        const dueInDays = Math.round((stats.lastPurchaseAt + stats.interval - Date.now()) / DAY_MS);
+
+        let due = 'toca hoy';
+        if (dueInDays > 0) due = `toca en ${dueInDays} día${dueInDays === 1 ? '' : 's'}`;
+        if (dueInDays < 0) due = `pasado hace ${-dueInDays} día${dueInDays === -1 ? '' : 's'}`;
+
+        return `Cada ~${everyDays} día${everyDays === 1 ? '' : 's'} · ${due}`;
+    }
+
+    // Adds overdue products that opted in; returns how many were added
+    applyAutoReplenish() {
+        if (!this.activeList) return 0;
+
+        const dueCards = this.cards.filter(card =>
+            this.getCardMeta(card).autoReplenish && this.getReplenishmentStatus(card) === 'overdue'
+        );
+
+        dueCards.forEach(card => {
+            const previousListId = card.idList;
+            const historyEntry = this.buildHistoryEntry(card, 'added');
+            this.noteReplenishmentEvent(historyEntry);
+            card.idList = this.activeList.id;
+            this.persistCardMove(card, previousListId, this.activeList.id, historyEntry);
+        });
+
+        if (dueCards.length > 0) {
+            this.saveBoardCacheSoon();
+            this.renderAfterCardMove();
+        }
+        return dueCards.length;
+    }
+
+    async toggleAutoReplenish(cardId) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) return;
+
+        const enabled = !this.getCardMeta(card).autoReplenish;
+        await this.saveCardMeta(card, { autoReplenish: enabled || null });
+        this.showToast(enabled
+            ? `"${card.name}" se añadirá solo cuando toque`
+            : `"${card.name}" ya no se añadirá automáticamente`);
+        this.renderCurrentView();
+
+        if (!document.getElementById('product-detail-modal').classList.contains('hidden')) {
+            this.showProductDetail(cardId);
+        }
+    }
+
+    renderReplenishmentDetail(card) {
+        if (!this.replenishment.stats[card.id]) return '';
+
+        const autoEnabled = !!this.getCardMeta(card).autoReplenish;
+        return `
+            <div class="product-detail-section">
+                <span class="product-detail-label">🔁 Reposición</span>
+                <div class="replenish-item">
+                    <div class="replenish-info">
+                        <div class="replenish-due">${this.formatReplenishmentInfo(card)}</div>
+                    </div>
+                    <button class="replenish-auto ${autoEnabled ? 'active' : ''}" onclick="app.toggleAutoReplenish('${card.id}')">Auto</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderReplenishmentSuggestions(storeCards) {
+        const dueCards = storeCards
+            .map(card => ({ card, status: this.getReplenishmentStatus(card) }))
+            .filter(item => item.status)
+            .sort((a, b) => {
+                const aStats = this.replenishment.stats[a.card.id];
+                const bStats = this.replenishment.stats[b.card.id];
+                return (aStats.lastPurchaseAt + aStats.interval) - (bStats.lastPurchaseAt + bStats.interval);
+            });
+
+        if (dueCards.length === 0) return '';
+
+        return `
+            <div class="products-section replenish-section">
+                <div class="products-section-title">🔁 Toca reponer (${dueCards.length})</div>
+                ${dueCards.map(({ card, status }) => {
+                    const autoEnabled = !!this.getCardMeta(card).autoReplenish;
+                    return `
+                        <div class="replenish-item ${status}">
+                            <div class="replenish-info">
+                                <div class="replenish-name">${this.escapeHtml(card.name)}</div>
+                                <div class="replenish-due">${this.formatReplenishmentInfo(card)}</div>
+                            </div>
+                            <button class="replenish-auto ${autoEnabled ? 'active' : ''}" data-card-id="${card.id}" title="Añadir automáticamente cuando toque">Auto</button>
+                            <button class="replenish-add" data-card-id="${card.id}">Añadir</button>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // ==================== Prices ====================
+
+    formatPrice(value) {
+        return new Intl.NumberFormat('es', { style: 'currency', currency: 'EUR' }).format(value);
+    }
+
+    // The store the user is buying at: the one open in shopping mode or the
+    // store detail, otherwise the card's only store
+    getPurchaseStore(card) {
+        const storeNames = this.getStoreNames();
+        const contextStore = this.currentView === 'shopping' ? this.selectedStore : this.currentStore;
+        if (contextStore && storeNames.includes(contextStore.name) && card.idLabels.includes(contextStore.id)) {
+            return contextStore;
+        }
+
+        const cardStores = this.labels.filter(l => card.idLabels.includes(l.id) && storeNames.includes(l.name));
+        return cardStores.length === 1 ? cardStores[0] : null;
+    }
+
+    // New price list for the card with `purchase` ({ storeId, price }) added,
+    // recorded with the quantity that was on the list
+    addPriceEntry(card, purchase) {
+        const { quantity, unit, prices = [] } = this.getCardMeta(card);
+        const entry = {
+            store: purchase.storeId,
+            price: purchase.price,
+            quantity: quantity || 1,
+            unit: unit || QUANTITY_UNITS[0],
+            date: new Date().toISOString()
+        };
+
+        const sameStore = [...prices.filter(p => p.store === entry.store), entry].slice(-MAX_PRICES_PER_STORE);
+        return [...prices.filter(p => p.store !== entry.store), ...sameStore];
+    }
+
+    // Last price paid at the store, scaled to the quantity now on the list
+    // when both are in the same unit
+    getEstimatedPrice(card, storeId) {
+        const { quantity, unit, prices = [] } = this.getCardMeta(card);
+        const last = prices.filter(p => p.store === storeId).pop();
+        if (!last) return null;
+
+        const currentUnit = unit || QUANTITY_UNITS[0];
+        if (!quantity || last.unit !== currentUnit) return last.price;
+        return last.price / (last.quantity || 1) * quantity;
+    }
+
+    getEstimatedTotal(cards, storeId) {
+        return cards.reduce((estimate, card) => {
+            const price = this.getEstimatedPrice(card, storeId);
+            if (price === null) {
+                estimate.unpriced++;
+            } else {
+                estimate.total += price;
+                estimate.priced++;
+            }
+            return estimate;
+        }, { total: 0, priced: 0, unpriced: 0 });
+    }
+
+    renderPriceHistory(card) {
+        const { prices = [] } = this.getCardMeta(card);
+        if (prices.length === 0) return '';
+
+        const storeIds = [...new Set(prices.map(p => p.store))];
+
+        return `
+            <div class="product-detail-section">
+                <span class="product-detail-label">💶 Precios</span>
+                ${storeIds.map(storeId => {
+                    const store = this.labels.find(l => l.id === storeId);
+                    const storePrices = prices.filter(p => p.store === storeId).reverse();
+                    return `
+                        <div class="price-history-store">${this.escapeHtml(store?.name || 'Tienda eliminada')}</div>
+                        <div class="product-history">
+                            ${storePrices.map(p => `
+                                <div class="product-history-item">
+                                    <span>${this.formatPrice(p.price)} · ${String(p.quantity).replace('.', ',')} ${p.unit}</span>
+                                    <time>${this.formatHistoryDate(p.date)}</time>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // ==================== Actions ====================
+
+    async toggleCardActive(cardId) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) return;
+
+        const isCurrentlyActive = card.idList === this.activeList?.id;
+        const removeReason = isCurrentlyActive ? await this.promptRemoveReason(card) : null;
+        if (isCurrentlyActive && !removeReason) return;
+        const purchase = removeReason === 'purchased' ? await this.promptPurchasePrice(card) : null;
+        const quantity = isCurrentlyActive ? null : await this.promptQuantity(card);
+        if (!isCurrentlyActive && !quantity) return;
+        if (!(await this.ensureCurrentUserName())) return;
+
+        const targetList = isCurrentlyActive ? this.allProductsList : this.activeList;
+        const historyEntry = this.buildHistoryEntry(card, isCurrentlyActive ? 'removed' : 'added', removeReason);
+
+        // Optimistic update - update UI immediately
+        const previousListId = card.idList;
+        card.idList = targetList.id;
+
+        if (isCurrentlyActive) {
+            this.addToRecentProducts(cardId);
+        }
+        this.applyCardMoveToDom(cardId, targetList.id, previousListId);
+        this.scheduleRenderAfterCardMove();
+        this.saveBoardCacheSoon();
+        this.scheduleCardToggle({
+            card,
+            previousListId,
+            targetListId: targetList.id,
+            historyEntry,
+            quantity,
+            otherChanges: purchase ? { prices: this.addPriceEntry(card, purchase) } : {},
+            message: `${card.name} ${isCurrentlyActive ? 'quitado de' : 'añadido a'} la lista`
+        });
+    }
+
+    // The move, its history comment and the quantity are only written once
+    // the undo window closes, so undoing in time leaves nothing to revert remotely
+    scheduleCardToggle({ card, previousListId, targetListId, historyEntry, quantity, otherChanges, message }) {
+        const previousDesc = card.desc || '';
+
+        this.scheduleUndoable({
+            message,
+            commit: ({ queue }) => {
+                this.noteReplenishmentEvent(historyEntry);
+                return Promise.all([
+                    this.persistCardMove(card, previousListId, targetListId, historyEntry, { queue }),
+                    this.saveCardQuantity(card, quantity, otherChanges, { queue })
+                ]);
+            },
+            revert: () => {
+                card.idList = previousListId;
+                this.saveBoardCacheSoon();
+                this.renderAfterCardMove();
+            },
+            compensate: async () => {
+                historyEntry.undone = true;
+
+                // Still waiting in the offline queue: dropping it is enough
+                const queuedMove = this.loadPendingMoves().find(move => move.cardId === card.id);
+                if (queuedMove && queuedMove.base?.idList === previousListId) {
+                    this.removePendingMove(card.id);
+                } else {
+                    this.persistCardMove(card, targetListId, previousListId, null);
+                }
+
+                await this.discardHistoryEntry(historyEntry);
+                await this.saveCardDesc(card, previousDesc);
+            }
+        });
+    }
+
+    // Takes back a history comment: out of the queue if it is still there,
+    // otherwise deleted from the card
+    async discardHistoryEntry(entry) {
+        const history = this.loadPendingHistory();
+        const nextHistory = history.filter(e => !(e.cardId === entry.cardId && e.createdAt === entry.createdAt));
+        if (nextHistory.length !== history.length) {
+            this.savePendingHistory(nextHistory);
+            return;
+        }
+
+        if (entry.actionId) {
+            await this.deleteCardComment(entry.actionId);
+        }
+    }
+
+    // Resolves once the move (and its history comment) is written or queued.
+    // `queue` puts it in the pending queue right away (see Undo); without a
+    // server behind the backend there is no queue, so it is written at once.
+    persistCardMove(card, previousListId, targetListId, historyEntry, { queue = false } = {}) {
+        const base = this.buildCardBase(card, { idList: previousListId });
+        if (this.isLocalId(card.id) || (queue && this.backend.isRemote)) {
+            this.enqueueCardMove(card.id, targetListId, historyEntry, base);
+            return Promise.resolve();
+        }
+
+        const send = async () => {
+            try {
+                await this.moveCard(card.id, targetListId);
+                this.removePendingMove(card.id);
+                if (historyEntry && !historyEntry.undone) {
+                    await this.recordOrQueueCardHistory(historyEntry);
+                }
+                this.saveBoardCacheSoon();
+            } catch (error) {
+                if (this.isNetworkError(error)) {
+                    this.enqueueCardMove(card.id, targetListId, historyEntry, base);
+                    this.showToast('Cambio guardado offline. Se sincronizara al volver la conexion.');
+                    return;
+                }
+
+                card.idList = previousListId;
+                this.saveBoardCacheSoon();
+                this.renderAfterCardMove();
+                this.showToast('Error: ' + error.message);
+            }
+        };
+
+        if (queue) return send();
+        return new Promise(resolve => window.setTimeout(() => resolve(send()), 0));
+    }
+
+    // `base` is the card as last seen from Trello, used on replay to detect
+    // changes made by someone else in the meantime (see replayCardMove)
+    enqueueCardMove(cardId, targetListId, history = null, base = null) {
+        const previousMove = this.loadPendingMoves().find(move => move.cardId === cardId);
+        const moves = this.loadPendingMoves().filter(move => move.cardId !== cardId);
+        moves.push({
+            cardId,
+            targetListId,
+            history,
+            // Several offline toggles of the same card are all based on the first one's state
+            base: previousMove ? previousMove.base : base,
+            createdAt: new Date().toISOString()
+        });
+        console.log('📦 Cambio offline encolado:', { cardId, targetListId, pending: moves.length });
+        this.savePendingMoves(moves);
+        this.saveBoardCache();
+    }
+
+    removePendingMove(cardId) {
+        const moves = this.loadPendingMoves();
+        const nextMoves = moves.filter(move => move.cardId !== cardId);
+        if (nextMoves.length !== moves.length) {
+            this.savePendingMoves(nextMoves);
+        }
+    }
+
+    schedulePendingSync() {
+        if (this.pendingSyncTimer || this.getPendingChangesCount() === 0) return;
+
+        this.pendingSyncTimer = window.setTimeout(async () => {
+            this.pendingSyncTimer = null;
+            await this.syncPendingMovesAndRefresh({ silent: true });
+
+            if (this.getPendingChangesCount() > 0) {
+                this.schedulePendingSync();
+            }
+        }, 5000);
+    }
+
+    async syncPendingMovesAndRefresh({ silent = false } = {}) {
+        if (!this.selectedBoardId) return false;
+
+        const hadMoves = this.getPendingChangesCount() > 0;
+        const synced = await this.syncPendingMoves({ silent });
 
         if (hadMoves && synced) {
             await this.loadBoard({ background: true, skipPendingSync: true });
         }
 
-        return synced;
+        return synced;
+    }
+
+    async syncPendingMoves({ silent = false } = {}) {
+        const pendingBefore = this.getPendingChangesCount();
+        // While the undo snackbar is up the queue may hold what it would take
+        // back (queued when the page was hidden): sent once the window closes
+        if (pendingBefore === 0 || this.isSyncing || this.pendingUndo) {
+            this.updateConnectionStatus();
+            return pendingBefore === 0;
+        }
+
+        this.isSyncing = true;
+        this.updateConnectionStatus();
+
+        // Creates, edits and deletes go first: queued moves and history
+        // entries may point at cards that only get a real ID here.
+        const { completed: operationsSynced, discarded } = await this.syncPendingOperations();
+        const moves = operationsSynced ? this.loadPendingMoves() : [];
+        console.log('🔄 Sincronizando cambios offline:', moves);
+
+        const remaining = [];
+
+        for (const move of moves) {
+            try {
+                const result = await this.replayCardMove(move);
+                this.serverReachable = true;
+                if (result === 'conflict') continue;
+                console.log('✅ Cambio offline sincronizado:', move);
+            } catch (error) {
+                remaining.push(move);
+                console.error('❌ Error sincronizando cambio offline:', move, error);
+
+                if (this.isNetworkError(error)) {
+                    this.serverReachable = false;
+                    const moveIndex = moves.indexOf(move);
+                    remaining.push(...moves.slice(moveIndex + 1));
+                    break;
+                }
+
+                console.warn('No se pudo sincronizar un cambio pendiente:', error);
+                continue;
+            }
+
+            if (move.history && !move.history.undone) {
+                try {
+                    await this.recordCardHistory(move.history);
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        this.enqueueCardHistory(move.history);
+                        this.serverReachable = false;
+                        const moveIndex = moves.indexOf(move);
+                        remaining.push(...moves.slice(moveIndex + 1));
+                        break;
+                    }
+
+                    console.warn('No se pudo registrar el historial pendiente:', error);
+                }
+            }
+        }
+
+        if (operationsSynced) {
+            this.savePendingMoves(remaining);
+        }
+
+        if (operationsSynced && remaining.length === 0) {
+            const historyEntries = this.loadPendingHistory();
+            const historyRemaining = [];
+            for (const entry of historyEntries) {
+                if (entry.undone) continue;
+                try {
+                    await this.recordCardHistory(entry);
+                    this.serverReachable = true;
+                } catch (error) {
+                    historyRemaining.push(entry);
+                    if (this.isNetworkError(error)) {
+                        this.serverReachable = false;
+                        const entryIndex = historyEntries.indexOf(entry);
+                        historyRemaining.push(...historyEntries.slice(entryIndex + 1));
+                        break;
+                    }
+                }
+            }
+            this.savePendingHistory(historyRemaining);
+        }
+
+        this.saveBoardCache();
+        this.isSyncing = false;
+        this.updateConnectionStatus();
+
+        const totalPending = this.getPendingChangesCount();
+        if (this.loadPendingConflicts().length > 0) {
+            this.showConflictsModal();
+        } else if (discarded > 0) {
+            this.showToast(`${discarded} cambio${discarded === 1 ? '' : 's'} offline rechazado${discarded === 1 ? '' : 's'} por Trello`);
+        } else if (!silent && totalPending === 0) {
+            this.showToast('Cambios offline sincronizados');
+        } else if (!silent && totalPending > 0) {
+            this.showToast(`No se pudieron sincronizar ${totalPending} cambio${totalPending === 1 ? '' : 's'}. Se intentara de nuevo.`);
+        }
+
+        return totalPending === 0;
+    }
+
+    // ==================== Undo ====================
+
+    // `commit` does the writes, `revert` puts the screen back and `compensate`
+    // undoes writes already made (the app went to the background before the
+    // window closed). Only the newest action can be undone: starting another
+    // one makes the previous one final.
+    //
+    // commit({ queue: true }) is used when the page is hidden: a frozen or
+    // closed page never runs the timers and requests a normal commit starts,
+    // so the writes go straight into the pending queues for the replay (or
+    // sw.js) to send.
+    scheduleUndoable({ message, commit, revert, compensate }) {
+        this.finishPendingUndo();
+
+        const action = { commit, revert, compensate, committed: false, writes: null };
+        action.timer = window.setTimeout(() => this.finishPendingUndo(), UNDO_WINDOW_MS);
+        this.pendingUndo = action;
+
+        this.showUndoToast(message, () => this.undo(action));
+    }
+
+    // Writes the pending action now but keeps it undoable until the window closes
+    commitPendingUndo({ queue = false } = {}) {
+        const action = this.pendingUndo;
+        if (!action || action.committed) return;
+
+        action.committed = true;
+        action.writes = Promise.resolve(action.commit({ queue })).catch(error => {
+            console.warn('Error guardando el cambio:', error);
+        });
+    }
+
+    finishPendingUndo() {
+        const action = this.pendingUndo;
+        if (!action) return;
+
+        clearTimeout(action.timer);
+        this.commitPendingUndo();
+        this.pendingUndo = null;
+        this.schedulePendingSync();
+    }
+
+    async undo(action) {
+        if (this.pendingUndo !== action) return;
+
+        clearTimeout(action.timer);
+        this.pendingUndo = null;
+        action.revert();
+
+        if (!action.committed) return;
+
+        try {
+            // Compensating while the original writes are in flight would miss
+            // what they create (the history comment has no id yet)
+            await action.writes;
+            await action.compensate();
+        } catch (error) {
+            console.warn('No se pudo deshacer en Trello:', error);
+            this.showToast('Error deshaciendo: ' + error.message);
+        }
+    }
+
+    // ==================== Offline Operations ====================
+
+    createLocalId() {
+        return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    isLocalId(id) {
+        return typeof id === 'string' && id.startsWith('local-');
+    }
+
+    // Queue instead of calling Trello when offline, when the operation touches
+    // a card or label that only exists locally, or when older operations are
+    // still waiting (so replay keeps the order the user made the changes in).
+    // `force` queues anyway: the page is being hidden (see Undo).
+    shouldQueueOperation(ids = [], { force = false } = {}) {
+        if (!this.backend.isRemote) return false;
+        return force
+            || !navigator.onLine
+            || this.loadPendingOperations().length > 0
+            || ids.some(id => this.isLocalId(id));
+    }
+
+    async runOrQueueOperation(ids, run, queue, { force = false } = {}) {
+        if (this.shouldQueueOperation(ids, { force })) {
+            await queue();
+            return true;
+        }
+
+        try {
+            await run();
+            return false;
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+
+            this.serverReachable = false;
+            await queue();
+            return true;
+        }
+    }
+
+    enqueueOperation(type, fields) {
+        const operations = this.loadPendingOperations();
+        operations.push({
+            id: this.createLocalId(),
+            type,
+            ...fields,
+            createdAt: new Date().toISOString()
+        });
+        console.log('📦 Operación offline encolada:', { type, pending: operations.length });
+        this.savePendingOperations(operations);
+    }
+
+    enqueueCardUpdate(cardId, changes, base = null) {
+        const operations = this.loadPendingOperations();
+
+        // A card that was never uploaded is simply created with the new values,
+        // and repeated offline edits merge into the first one (keeping its base)
+        const pending = operations.find(op => (op.type === 'createCard' || op.type === 'updateCard') && op.cardId === cardId);
+        if (pending) {
+            pending.data = { ...pending.data, ...changes };
+            this.savePendingOperations(operations);
+            return;
+        }
+
+        this.enqueueOperation('updateCard', { cardId, data: changes, base });
+    }
+
+    discardCardOperations(cardId) {
+        this.savePendingOperations(this.loadPendingOperations().filter(op => op.cardId !== cardId));
+        this.removePendingMove(cardId);
+
+        const history = this.loadPendingHistory();
+        const nextHistory = history.filter(entry => entry.cardId !== cardId);
+        if (nextHistory.length !== history.length) {
+            this.savePendingHistory(nextHistory);
+        }
+    }
+
+    buildLocalCard(listId, name, labelIds = [], desc = '') {
+        return {
+            id: this.createLocalId(),
+            name,
+            idList: listId,
+            idLabels: labelIds,
+            pos: Date.now(),
+            desc,
+            attachments: []
+        };
+    }
+
+    async createCardOrQueue(listId, name, labelIds = [], desc = '') {
+        let card = null;
+
+        await this.runOrQueueOperation(labelIds, async () => {
+            card = await this.createCard(listId, name, labelIds, desc);
+        }, () => {
+            card = this.buildLocalCard(listId, name, labelIds, desc);
+            this.enqueueOperation('createCard', {
+                cardId: card.id,
+                data: { listId, name, idLabels: labelIds, desc }
+            });
+        });
+
+        return card;
+    }
+
+    async createLabelOrQueue(name, color) {
+        let label = null;
+
+        await this.runOrQueueOperation([], async () => {
+            label = await this.createLabel(this.selectedBoardId, name, color);
+        }, () => {
+            label = { id: this.createLocalId(), name, color };
+            this.enqueueOperation('createLabel', {
+                labelId: label.id,
+                data: { name, color }
+            });
+        });
+
+        this.labels.push(label);
+        this.saveBoardCache();
+        return label;
+    }
+
+    async addAttachmentOrQueue(card, file) {
+        return this.runOrQueueOperation([card.id], async () => {
+            const attachment = await this.addAttachmentToCard(card.id, file);
+            card.attachments = [...(card.attachments || []), attachment];
+        }, async () => {
+            const dataUrl = await this.readFileAsDataUrl(file);
+            const attachmentId = this.createLocalId();
+            card.attachments = [...(card.attachments || []), {
+                id: attachmentId,
+                name: file.name,
+                mimeType: file.type,
+                url: dataUrl
+            }];
+            this.enqueueOperation('addAttachment', {
+                cardId: card.id,
+                attachmentId,
+                data: { name: file.name, mimeType: file.type, dataUrl }
+            });
+        });
+    }
+
+    readFileAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async dataUrlToFile(dataUrl, name, mimeType) {
+        const blob = await (await fetch(dataUrl)).blob();
+        return new File([blob], name, { type: mimeType });
+    }
+
+    // Swap a temporary ID for the one Trello assigned, everywhere it may be referenced
+    remapLocalId(localId, remoteId) {
+        const swap = id => (id === localId ? remoteId : id);
+
+        this.cards.forEach(card => {
+            card.id = swap(card.id);
+            card.idLabels = (card.idLabels || []).map(swap);
+        });
+        this.labels.forEach(label => {
+            label.id = swap(label.id);
+        });
+        this.recentProducts.forEach(item => {
+            item.cardId = swap(item.cardId);
+        });
+
+        this.savePendingOperations(this.loadPendingOperations().map(op => ({
+            ...op,
+            cardId: swap(op.cardId),
+            data: op.data?.idLabels ? { ...op.data, idLabels: op.data.idLabels.map(swap) } : op.data
+        })));
+        this.savePendingMoves(this.loadPendingMoves().map(move => ({
+            ...move,
+            cardId: swap(move.cardId),
+            history: move.history ? { ...move.history, cardId: swap(move.history.cardId) } : null
+        })));
+        this.savePendingHistory(this.loadPendingHistory().map(entry => ({
+            ...entry,
+            cardId: swap(entry.cardId)
+        })));
+
+        this.saveRecentProductsSoon();
+        this.saveBoardCache();
+    }
+
+    async replayOperation(operation) {
+        switch (operation.type) {
+            case 'createLabel': {
+                const label = await this.createLabel(this.selectedBoardId, operation.data.name, operation.data.color);
+                this.remapLocalId(operation.labelId, label.id);
+                break;
+            }
+            case 'createCard': {
+                const { listId, name, idLabels, desc } = operation.data;
+                const card = await this.createCard(listId, name, idLabels, desc);
+                this.remapLocalId(operation.cardId, card.id);
+                break;
+            }
+            case 'updateCard':
+                await this.replayCardUpdate(operation);
+                break;
+            case 'updateBoard':
+                await this.writeBoardMeta(operation.changes);
+                break;
+            case 'deleteCard':
+                await this.deleteCard(operation.cardId);
+                break;
+            case 'addAttachment': {
+                const { name, mimeType, dataUrl } = operation.data;
+                const file = await this.dataUrlToFile(dataUrl, name, mimeType);
+                const attachment = await this.addAttachmentToCard(operation.cardId, file);
+                const card = this.cards.find(c => c.id === operation.cardId);
+                if (card) {
+                    card.attachments = (card.attachments || []).map(a => (a.id === operation.attachmentId ? attachment : a));
+                }
+                break;
+            }
+            case 'deleteAttachment':
+                await this.deleteCardAttachment(operation.cardId, operation.attachmentId);
+                break;
+            default:
+                console.warn('Operación offline desconocida:', operation);
+        }
+    }
+
+    // Replays queued operations oldest first. Stops at the first network error
+    // so the rest keep their order; operations Trello rejects are dropped.
+    async syncPendingOperations() {
+        let discarded = 0;
+        let operation;
+
+        while ((operation = this.loadPendingOperations()[0])) {
+            try {
+                await this.replayOperation(operation);
+                this.serverReachable = true;
+                console.log('✅ Operación offline sincronizada:', operation.type);
+            } catch (error) {
+                if (this.isNetworkError(error)) {
+                    this.serverReachable = false;
+                    return { completed: false, discarded };
+                }
+
+                console.warn('Trello rechazó una operación pendiente, se descarta:', operation, error);
+                discarded++;
+
+                if (operation.type === 'createCard') {
+                    this.discardCardOperations(operation.cardId);
+                    this.cards = this.cards.filter(c => c.id !== operation.cardId);
+                }
+            }
+
+            this.savePendingOperations(this.loadPendingOperations().filter(op => op.id !== operation.id));
+        }
+
+        return { completed: true, discarded };
+    }
+
+    // ==================== Sync Conflicts ====================
+
+    buildCardBase(card, overrides = {}) {
+        return {
+            idList: card.idList,
+            name: card.name,
+            desc: card.desc || '',
+            idLabels: [...(card.idLabels || [])],
+            dateLastActivity: card.dateLastActivity || null,
+            ...overrides
+        };
+    }
+
+    loadPendingConflicts() {
+        if (!this.selectedBoardId) return [];
+        return [...this.pendingQueues.conflicts];
+    }
+
+    savePendingConflicts(conflicts) {
+        this.savePendingQueue('conflicts', conflicts);
+    }
+
+    addConflict(conflict) {
+        // A newer conflict on the same card replaces the older one
+        const conflicts = this.loadPendingConflicts().filter(c => c.cardId !== conflict.cardId || c.type !== conflict.type);
+        conflicts.push({
+            id: this.createLocalId(),
+            ...conflict,
+            detectedAt: new Date().toISOString()
+        });
+        console.warn('⚠️ Conflicto de sincronización:', conflict);
+        this.savePendingConflicts(conflicts);
+    }
+
+    isSameFieldValue(field, a, b) {
+        if (field === 'idLabels') {
+            return [...(a || [])].sort().join(',') === [...(b || [])].sort().join(',');
+        }
+        return (a ?? '') === (b ?? '');
+    }
+
+    // Someone else touched the card if Trello's activity date moved on since
+    // the change was queued. Comments also bump it, so callers still compare
+    // the fields they care about before calling it a conflict.
+    hasRemoteActivity(base, server) {
+        return !base?.dateLastActivity || server.dateLastActivity !== base.dateLastActivity;
+    }
+
+    // Applies a queued move unless the card was moved to another list on
+    // Trello after the move was queued. Returns 'moved' or 'conflict'.
+    async replayCardMove(move) {
+        if (!move.base) {
+            await this.moveCard(move.cardId, move.targetListId);
+            return 'moved';
+        }
+
+        const server = await this.getCardState(move.cardId);
+        if (server.idList === move.targetListId) return 'moved';
+
+        if (this.hasRemoteActivity(move.base, server) && server.idList !== move.base.idList) {
+            this.addConflict({
+                type: 'move',
+                cardId: move.cardId,
+                cardName: server.name,
+                history: move.history,
+                fields: [{ field: 'idList', mine: move.targetListId, theirs: server.idList }],
+                server: this.buildCardBase(server)
+            });
+            return 'conflict';
+        }
+
+        await this.moveCard(move.cardId, move.targetListId);
+        return 'moved';
+    }
+
+    // Sends only the fields this device changed. Fields that were also changed
+    // on Trello to a different value are held back as a conflict.
+    async replayCardUpdate(operation) {
+        if (!operation.base) {
+            await this.updateCard(operation.cardId, operation.data);
+            return;
+        }
+
+        const server = await this.getCardState(operation.cardId);
+        const remoteActivity = this.hasRemoteActivity(operation.base, server);
+        const changes = {};
+        const conflictFields = [];
+
+        Object.entries(operation.data).forEach(([field, mine]) => {
+            const base = operation.base[field];
+            const theirs = server[field];
+            if (this.isSameFieldValue(field, mine, base) || this.isSameFieldValue(field, mine, theirs)) return;
+
+            if (remoteActivity && !this.isSameFieldValue(field, theirs, base)) {
+                conflictFields.push({ field, mine, theirs });
+            } else {
+                changes[field] = mine;
+            }
+        });
+
+        if (Object.keys(changes).length > 0) {
+            await this.updateCard(operation.cardId, changes);
+        }
+
+        if (conflictFields.length > 0) {
+            this.addConflict({
+                type: 'update',
+                cardId: operation.cardId,
+                cardName: server.name,
+                fields: conflictFields,
+                server: this.buildCardBase(server)
+            });
+        }
+    }
+
+    formatConflictValue(field, value) {
+        if (field === 'idList') {
+            return this.lists.find(l => l.id === value)?.name || 'Lista desconocida';
+        }
+        if (field === 'idLabels') {
+            const names = (value || []).map(id => this.labels.find(l => l.id === id)?.name).filter(Boolean);
+            return names.length > 0 ? names.join(', ') : 'Sin etiquetas';
+        }
+        return value ? String(value) : '(vacío)';
+    }
+
+    getConflictFieldLabel(field) {
+        return {
+            idList: 'Lista',
+            name: 'Nombre',
+            desc: 'Notas',
+            idLabels: 'Tiendas y ubicaciones'
+        }[field] || field;
+    }
+
+    async resolveConflict(conflictId, keepMine) {
+        const conflict = this.loadPendingConflicts().find(c => c.id === conflictId);
+        if (!conflict) return;
+
+        this.savePendingConflicts(this.loadPendingConflicts().filter(c => c.id !== conflictId));
+        const card = this.cards.find(c => c.id === conflict.cardId);
+
+        if (keepMine) {
+            // Re-queue against the server state we just saw, so a further
+            // remote change is caught again instead of being overwritten
+            const mine = Object.fromEntries(conflict.fields.map(f => [f.field, f.mine]));
+            if (conflict.type === 'move') {
+                this.enqueueCardMove(conflict.cardId, mine.idList, conflict.history, conflict.server);
+            } else {
+                this.enqueueCardUpdate(conflict.cardId, mine, conflict.server);
+            }
+            if (card) Object.assign(card, mine);
+        } else if (card) {
+            Object.assign(card, Object.fromEntries(conflict.fields.map(f => [f.field, f.theirs])));
+        }
+
+        this.saveBoardCache();
+        this.renderCurrentView();
+        if (keepMine) {
+            await this.syncPendingMovesAndRefresh({ silent: true });
+        }
+    }
+
+    showConflictsModal() {
+        const conflicts = this.loadPendingConflicts();
+        const existingModal = document.getElementById('sync-conflicts-modal');
+        if (existingModal) existingModal.remove();
+        if (conflicts.length === 0) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'sync-conflicts-modal';
+        modal.className = 'modal-overlay';
+        modal.style.zIndex = '450';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 480px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">Conflictos al sincronizar</h3>
+                    <button class="modal-close" id="sync-conflicts-close">×</button>
+                </div>
+
+                <div class="modal-section">
+                    <p style="color: var(--text-secondary); font-size: 14px; line-height: 1.6; margin-bottom: 16px;">
+                        Mientras estabas sin conexión alguien cambió estos productos en Trello. Elige qué versión quieres conservar.
+                    </p>
+                    <div class="conflict-list">
+                        ${conflicts.map(conflict => `
+                            <div class="conflict-item" data-conflict-id="${conflict.id}">
+                                <div class="conflict-item-name">${this.escapeHtml(conflict.cardName)}</div>
+                                ${conflict.fields.map(f => `
+                                    <div class="conflict-field">
+                                        <span class="conflict-field-label">${this.getConflictFieldLabel(f.field)}</span>
+                                        <span><strong>Tú:</strong> ${this.escapeHtml(this.formatConflictValue(f.field, f.mine))}</span>
+                                        <span><strong>Trello:</strong> ${this.escapeHtml(this.formatConflictValue(f.field, f.theirs))}</span>
+                                    </div>
+                                `).join('')}
+                                <div class="conflict-actions">
+                                    <button class="btn btn-secondary" data-resolve="theirs">Usar Trello</button>
+                                    <button class="btn btn-primary" data-resolve="mine">Mantener el mío</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('sync-conflicts-close').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', e => {
+            if (e.target === modal) modal.remove();
+        });
+
+        modal.querySelectorAll('.conflict-item').forEach(item => {
+            item.querySelectorAll('[data-resolve]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    item.remove();
+                    if (!modal.querySelector('.conflict-item')) modal.remove();
+                    await this.resolveConflict(item.dataset.conflictId, btn.dataset.resolve === 'mine');
+                });
+            });
+        });
+    }
+
+    showSettings() {
+        // Create settings modal dynamically
+        const existingModal = document.getElementById('settings-modal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'settings-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h3 class="modal-title">Ajustes</h3>
+                    <button class="modal-close" id="settings-close">×</button>
+                </div>
+
+                <div class="settings-options">
+                    <button class="settings-option" id="settings-user">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path d="M3 14s-1 0-1-1 1-4 6-4 6 3 6 4-1 1-1 1H3zm5-6a3 3 0 1 0 0-6 3 3 0 0 0 0 6z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Usuario</strong>
+                            <span>${this.currentUserName ? this.escapeHtml(this.currentUserName) : 'Configurar nombre para el historial'}</span>
+                        </div>
+                    </button>
+
+                    <button class="settings-option" id="settings-config-stores">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path d="M2.97 1.35A1 1 0 0 1 3.73 1h8.54a1 1 0 0 1 .76.35l2.609 3.044A1.5 1.5 0 0 1 16 5.37v.255a2.375 2.375 0 0 1-4.25 1.458A2.371 2.371 0 0 1 9.875 8 2.37 2.37 0 0 1 8 7.083 2.37 2.37 0 0 1 6.125 8a2.37 2.37 0 0 1-1.875-.917A2.375 2.375 0 0 1 0 5.625V5.37a1.5 1.5 0 0 1 .361-.976l2.61-3.045zm1.78 4.275a1.375 1.375 0 0 0 2.75 0 .5.5 0 0 1 1 0 1.375 1.375 0 0 0 2.75 0 .5.5 0 0 1 1 0 1.375 1.375 0 1 0 2.75 0V5.37a.5.5 0 0 0-.12-.325L12.27 2H3.73L1.12 5.045A.5.5 0 0 0 1 5.37v.255a1.375 1.375 0 0 0 2.75 0 .5.5 0 0 1 1 0zM1.5 8.5A.5.5 0 0 1 2 9v6h1v-5a1 1 0 0 1 1-1h3a1 1 0 0 1 1 1v5h6V9a.5.5 0 0 1 1 0v6h.5a.5.5 0 0 1 0 1H.5a.5.5 0 0 1 0-1H1V9a.5.5 0 0 1 .5-.5zM4 15h3v-5H4v5zm5-5a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v3a1 1 0 0 1-1 1h-2a1 1 0 0 1-1-1v-3zm3 0h-2v3h2v-3z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Gestionar tiendas</strong>
+                            <span>Añadir, editar o eliminar tiendas</span>
+                        </div>
+                    </button>
+
+                    <button class="settings-option" id="settings-config-locations">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path d="M8 16s6-5.686 6-10A6 6 0 0 0 2 6c0 4.314 6 10 6 10zm0-7a3 3 0 1 1 0-6 3 3 0 0 1 0 6z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Gestionar ubicaciones</strong>
+                            <span>Añadir, editar o eliminar ubicaciones</span>
+                        </div>
+                    </button>
+
+                    <button class="settings-option" id="settings-stats">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path d="M4 11H2v3h2v-3zm5-4H7v7h2V7zm5-5v12h-2V2h2zm-2-1a1 1 0 0 0-1 1v12a1 1 0 0 0 1 1h2a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1h-2zM6 7a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v7a1 1 0 0 1-1 1H7a1 1 0 0 1-1-1V7zm-5 4a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v3a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1v-3z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Estadísticas</strong>
+                            <span>Qué se compra, dónde y quién</span>
+                        </div>
+                    </button>
+
+                    <button class="settings-option" id="settings-trash">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path d="M2.5 1a1 1 0 0 0-1 1v1a1 1 0 0 0 1 1H3v9a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2V4h.5a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H10a1 1 0 0 0-1-1H7a1 1 0 0 0-1 1H2.5zm3 4a.5.5 0 0 1 .5.5v7a.5.5 0 0 1-1 0v-7a.5.5 0 0 1 .5-.5zM8 5a.5.5 0 0 1 .5.5v7a.5.5 0 0 1-1 0v-7A.5.5 0 0 1 8 5zm3 .5v7a.5.5 0 0 1-1 0v-7a.5.5 0 0 1 1 0z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Papelera</strong>
+                            <span>Restaurar productos eliminados</span>
+                        </div>
+                    </button>
+
+                    <button class="settings-option" id="settings-import-export">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path d="M8.186 1.113a.5.5 0 0 0-.372 0L1.846 3.5 8 5.961 14.154 3.5 8.186 1.113zM15 4.239l-6.5 2.6v7.922l6.5-2.6V4.24zM7.5 14.762V6.838L1 4.239v7.923l6.5 2.6zM7.443.184a1.5 1.5 0 0 1 1.114 0l7.129 2.852A.5.5 0 0 1 16 3.5v8.662a1 1 0 0 1-.629.928l-7.185 2.874a.5.5 0 0 1-.372 0L.63 13.09a1 1 0 0 1-.630-.928V3.5a.5.5 0 0 1 .314-.464L7.443.184z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Importar / Exportar</strong>
+                            <span>Importar o exportar productos en JSON o CSV</span>
+                        </div>
+                    </button>
+
+                    <button class="settings-option danger" id="settings-logout">
+                        <span class="settings-option-icon">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
+                                <path fill-rule="evenodd" d="M10 12.5a.5.5 0 0 1-.5.5h-8a.5.5 0 0 1-.5-.5v-9a.5.5 0 0 1 .5-.5h8a.5.5 0 0 1 .5.5v2a.5.5 0 0 0 1 0v-2A1.5 1.5 0 0 0 9.5 2h-8A1.5 1.5 0 0 0 0 3.5v9A1.5 1.5 0 0 0 1.5 14h8a1.5 1.5 0 0 0 1.5-1.5v-2a.5.5 0 0 0-1 0v2z"/>
+                                <path fill-rule="evenodd" d="M15.854 8.354a.5.5 0 0 0 0-.708l-3-3a.5.5 0 0 0-.708.708L14.293 7.5H5.5a.5.5 0 0 0 0 1h8.793l-2.147 2.146a.5.5 0 0 0 .708.708l3-3z"/>
+                            </svg>
+                        </span>
+                        <div class="settings-option-text">
+                            <strong>Cerrar sesión</strong>
+                            <span>${this.backend.isRemote ? 'Desconectar de Trello' : 'Salir del modo local (los datos se conservan)'}</span>
+                        </div>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        document.body.style.overflow = 'hidden';
+
+        const closeModal = () => {
+            modal.remove();
+            document.body.style.overflow = '';
+        };
+
+        // Bind events
+        document.getElementById('settings-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        document.getElementById('settings-import-export').addEventListener('click', () => {
+            modal.remove();
+            this.showImportExportModal();
+        });
+
+        document.getElementById('settings-stats').addEventListener('click', () => {
+            modal.remove();
+            this.showStatsModal();
+        });
+
+        document.getElementById('settings-trash').addEventListener('click', () => {
+            modal.remove();
+            this.showTrashModal();
+        });
+
+        document.getElementById('settings-user').addEventListener('click', async () => {
+            modal.remove();
+            document.body.style.overflow = '';
+            await this.promptCurrentUserName();
+        });
+
+        document.getElementById('settings-config-stores').addEventListener('click', () => {
+            modal.remove();
+            this.showConfigStoresModal();
+        });
+
+        document.getElementById('settings-config-locations').addEventListener('click', () => {
+            modal.remove();
+            this.showConfigLocationsModal();
+        });
+
+        document.getElementById('settings-logout').addEventListener('click', () => {
+            closeModal();
+            this.logout();
+        });
+    }
+
+    // ==================== Bulk Jobs ====================
+
+    // Imports and delete-all run as a job with one item per product. The job is
+    // saved in IndexedDB after every item, so closing the tab midway leaves a
+    // record that can be resumed (or discarded) on the next load.
+
+    getBulkJobKey(boardId = this.selectedBoardId) {
+        return `bulk_job_${boardId}`;
+    }
+
+    createBulkJob(type, items) {
+        return {
+            id: `job-${Date.now().toString(36)}`,
+            type,
+            boardId: this.selectedBoardId,
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            items: items.map(({ label, data }) => ({ label, data, status: 'pending', message: '' }))
+        };
+    }
+
+    saveBulkJob(job) {
+        job.updatedAt = new Date().toISOString();
+        return this.storage.setValue(this.getBulkJobKey(job.boardId), job);
+    }
+
+    clearBulkJob(job) {
+        if (job.type === 'restore') {
+            this.restoreArchive = null;
+            this.storage.setValue(this.getRestoreArchiveKey(job), null).catch(error => {
+                console.warn('No se pudo borrar la copia de seguridad guardada:', error);
+            });
+        }
+        return this.storage.setValue(this.getBulkJobKey(job.boardId), null);
+    }
+
+    getBulkJobTitle(job) {
+        return {
+            import: 'Importar productos',
+            deleteAll: 'Borrar todos los productos',
+            restore: 'Restaurar copia de seguridad'
+        }[job.type];
+    }
+
+    getBulkJobCounts(job) {
+        const counts = { pending: 0, done: 0, skipped: 0, failed: 0 };
+        job.items.forEach(item => counts[item.status]++);
+        return counts;
+    }
+
+    runBulkJobItem(job, item) {
+        if (job.type === 'import') return this.importProductItem(job, item);
+        if (job.type === 'deleteAll') return this.deleteProductItem(item.data);
+        if (job.type === 'restore') return this.restoreBackupItem(job, item);
+        throw new Error(`Tipo de operación desconocido: ${job.type}`);
+    }
+
+    async runBulkJob(job) {
+        if (this.activeBulkJob) {
+            this.showToast('Ya hay una operación en curso');
+            return;
+        }
+
+        this.activeBulkJob = job;
+        this.bulkJobCancelRequested = false;
+        job.status = 'running';
+
+        try {
+            await this.saveBulkJob(job);
+            this.renderBulkJobModal(job);
+
+            for (const item of job.items) {
+                if (item.status !== 'pending') continue;
+                if (this.bulkJobCancelRequested) {
+                    job.status = 'cancelled';
+                    break;
+                }
+
+                try {
+                    const result = await this.runBulkJobItem(job, item);
+                    item.status = result.status;
+                    item.message = result.message || '';
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        // The item stays pending: resuming starts again from it
+                        this.serverReachable = false;
+                        job.status = 'paused';
+                        break;
+                    }
+
+                    console.error(`Error en "${item.label}":`, error);
+                    item.status = 'failed';
+                    item.message = error.message;
+                }
+
+                await this.saveBulkJob(job);
+                this.renderBulkJobModal(job);
+            }
+
+            if (job.status === 'running') {
+                job.status = 'done';
+            }
+
+            if (job.status === 'paused') {
+                await this.saveBulkJob(job);
+            } else {
+                await this.clearBulkJob(job);
+            }
+        } catch (error) {
+            console.error('Error en operación masiva:', error);
+            this.showToast('❌ Error: ' + error.message);
+        } finally {
+            this.activeBulkJob = null;
+            this.saveBoardCache();
+            this.updateConnectionStatus();
+            this.renderCurrentView();
+            this.renderBulkJobModal(job);
+        }
+    }
+
+    async resumeInterruptedBulkJob() {
+        if (this.activeBulkJob || !this.selectedBoardId) return;
+
+        const job = await this.storage.getValue(this.getBulkJobKey());
+        if (!job || !['running', 'paused'].includes(job.status)) return;
+
+        this.renderBulkJobModal(job);
+    }
+
+    getBulkJobItemIcon(status) {
+        return { done: '✅', skipped: '⏭️', failed: '❌', pending: '⏸️' }[status];
+    }
+
+    // One modal for the whole life of a job: progress while it runs, resume or
+    // discard when it was interrupted, and the per-item report at the end
+    renderBulkJobModal(job) {
+        const isActive = this.activeBulkJob === job;
+        const isInterrupted = !isActive && ['running', 'paused'].includes(job.status);
+        const counts = this.getBulkJobCounts(job);
+        const processed = job.items.length - counts.pending;
+        const percent = job.items.length > 0 ? Math.round(processed / job.items.length * 100) : 100;
+
+        let modal = document.getElementById('bulk-job-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'bulk-job-modal';
+            modal.className = 'modal-overlay';
+            modal.style.zIndex = '450';
+            document.body.appendChild(modal);
+        }
+
+        let statusText = '';
+        if (isActive) {
+            statusText = this.bulkJobCancelRequested ? 'Cancelando...' : 'No cierres la app hasta que termine.';
+        } else if (isInterrupted) {
+            statusText = job.status === 'paused'
+                ? 'Se perdió la conexión con Trello. Puedes reanudar cuando vuelva.'
+                : 'La operación se interrumpió antes de terminar.';
+        } else if (job.status === 'cancelled') {
+            statusText = 'Operación cancelada.';
+        } else {
+            statusText = 'Operación completada.';
+        }
+
+        const showReport = !isActive && !isInterrupted;
+
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 480px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">${this.getBulkJobTitle(job)}</h3>
+                    ${isActive ? '' : '<button class="modal-close" id="bulk-job-close">×</button>'}
+                </div>
+
+                <div class="modal-section">
+                    <div class="bulk-job-progress">
+                        <div class="bulk-job-progress-bar" style="width: ${percent}%;"></div>
+                    </div>
+                    <div class="bulk-job-counts">
+                        <span>${processed} / ${job.items.length}</span>
+                        <span>✅ ${counts.done}</span>
+                        <span>⏭️ ${counts.skipped}</span>
+                        <span>❌ ${counts.failed}</span>
+                    </div>
+                    <p class="bulk-job-status">${statusText}</p>
+
+                    ${showReport ? `
+                        <div class="bulk-job-report">
+                            ${job.items.map(item => `
+                                <div class="bulk-job-report-item ${item.status}">
+                                    <span>${this.getBulkJobItemIcon(item.status)}</span>
+                                    <span class="bulk-job-report-name">${this.escapeHtml(item.label)}</span>
+                                    ${item.message ? `<span class="bulk-job-report-message">${this.escapeHtml(item.message)}</span>` : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+
+                    <div class="bulk-job-actions">
+                        ${isActive ? `
+                            <button class="btn btn-secondary" id="bulk-job-cancel" ${this.bulkJobCancelRequested ? 'disabled' : ''}>Cancelar</button>
+                        ` : isInterrupted ? `
+                            <button class="btn btn-secondary" id="bulk-job-discard">Descartar</button>
+                            <button class="btn btn-primary" id="bulk-job-resume">Reanudar (${counts.pending} pendientes)</button>
+                        ` : `
+                            <button class="btn btn-primary" id="bulk-job-done">Cerrar</button>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const closeModal = () => modal.remove();
+
+        document.getElementById('bulk-job-close')?.addEventListener('click', closeModal);
+        document.getElementById('bulk-job-done')?.addEventListener('click', closeModal);
+
+        document.getElementById('bulk-job-cancel')?.addEventListener('click', () => {
+            this.bulkJobCancelRequested = true;
+            this.renderBulkJobModal(job);
+        });
+
+        document.getElementById('bulk-job-discard')?.addEventListener('click', async () => {
+            closeModal();
+            await this.clearBulkJob(job);
+        });
+
+        document.getElementById('bulk-job-resume')?.addEventListener('click', () => {
+            this.runBulkJob(job);
+        });
+    }
+
+    // ==================== Statistics ====================
+
+    // Store a purchase is counted under: the one a price was recorded for
+    // that day, else the card's only store
+    getPurchaseStoreName(card, time) {
+        if (!card) return 'Sin tienda';
+
+        const { prices = [] } = this.getCardMeta(card);
+        const price = prices.find(p => Math.abs(new Date(p.date).getTime() - time) < DAY_MS);
+        const priceStore = price && this.labels.find(l => l.id === price.store);
+        if (priceStore) return priceStore.name;
+
+        const storeNames = this.getStoreNames();
+        const cardStores = this.labels.filter(l => card.idLabels.includes(l.id) && storeNames.includes(l.name));
+        if (cardStores.length === 1) return cardStores[0].name;
+        return cardStores.length > 1 ? 'Varias tiendas' : 'Sin tienda';
+    }
+
+    buildStats(events) {
+        const products = {};
+        const users = {};
+        const storeMonths = {};
+        const stores = new Set();
+
+        events.forEach(event => {
+            const card = this.cards.find(c => c.id === event.cardId);
+            const key = event.cardId || event.productName;
+            const product = products[key] || (products[key] = {
+                name: card?.name || event.productName,
+                added: 0,
+                purchased: 0,
+                notNeeded: 0
+            });
+            const user = users[event.user] || (users[event.user] = { added: 0, purchased: 0, notNeeded: 0, removed: 0 });
+
+            if (event.action === 'added') {
+                product.added++;
+                user.added++;
+            } else if (event.reason === 'purchased') {
+                product.purchased++;
+                user.purchased++;
+
+                const month = new Date(event.time).toISOString().slice(0, 7);
+                const store = this.getPurchaseStoreName(card, event.time);
+                stores.add(store);
+                storeMonths[month] = storeMonths[month] || {};
+                storeMonths[month][store] = (storeMonths[month][store] || 0) + 1;
+            } else if (event.reason === 'not_needed') {
+                product.notNeeded++;
+                user.notNeeded++;
+            } else {
+                user.removed++;
+            }
+        });
+
+        const productList = Object.values(products);
+
+        return {
+            topProducts: productList
+                .filter(p => p.purchased > 0)
+                .sort((a, b) => b.purchased - a.purchased || a.name.localeCompare(b.name, 'es'))
+                .slice(0, 10),
+            // Added over and over but rarely bought
+            neverBought: productList
+                .filter(p => p.notNeeded > 0)
+                .sort((a, b) => b.notNeeded / (b.purchased + b.notNeeded) - a.notNeeded / (a.purchased + a.notNeeded) || b.notNeeded - a.notNeeded)
+                .slice(0, 10),
+            months: Object.keys(storeMonths).sort().reverse().slice(0, 6),
+            storeMonths,
+            stores: [...stores].sort((a, b) => a.localeCompare(b, 'es')),
+            users: Object.entries(users).sort((a, b) => (b[1].added + b[1].purchased) - (a[1].added + a[1].purchased))
+        };
+    }
+
+    formatStatsMonth(month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return new Intl.DateTimeFormat('es', { month: 'short', year: 'numeric' }).format(new Date(year, monthIndex - 1, 1));
+    }
+
+    renderStats(stats, eventCount) {
+        if (eventCount === 0) {
+            return '<p class="product-detail-desc empty">Aún no hay historial. Las estadísticas aparecen al añadir y quitar productos.</p>';
+        }
+
+        return `
+            <div class="modal-section">
+                <div class="modal-section-title">🏆 Más comprados</div>
+                ${stats.topProducts.length > 0 ? `
+                    <div class="stats-list">
+                        ${stats.topProducts.map(p => `
+                            <div class="stats-row">
+                                <span>${this.escapeHtml(p.name)}</span>
+                                <strong>${p.purchased}×</strong>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : '<p class="product-detail-desc empty">Sin compras registradas</p>'}
+            </div>
+
+            <div class="modal-section">
+                <div class="modal-section-title">🏪 Compras por tienda y mes</div>
+                ${stats.months.length > 0 ? `
+                    <div class="stats-table-wrapper">
+                        <table class="stats-table">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    ${stats.stores.map(store => `<th>${this.escapeHtml(store)}</th>`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${stats.months.map(month => `
+                                    <tr>
+                                        <th>${this.formatStatsMonth(month)}</th>
+                                        ${stats.stores.map(store => `<td>${stats.storeMonths[month][store] || ''}</td>`).join('')}
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : '<p class="product-detail-desc empty">Sin compras registradas</p>'}
+            </div>
+
+            <div class="modal-section">
+                <div class="modal-section-title">🤔 Se añaden pero no se compran</div>
+                ${stats.neverBought.length > 0 ? `
+                    <div class="stats-list">
+                        ${stats.neverBought.map(p => `
+                            <div class="stats-row">
+                                <span>${this.escapeHtml(p.name)}</span>
+                                <span class="stats-muted">${p.purchased} comprado${p.purchased === 1 ? '' : 's'} · ${p.notNeeded} no hacía falta</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : '<p class="product-detail-desc empty">Todo lo que se añade acaba en la cesta</p>'}
+            </div>
+
+            <div class="modal-section">
+                <div class="modal-section-title">👥 Quién hace qué</div>
+                <div class="stats-list">
+                    ${stats.users.map(([name, user]) => `
+                        <div class="stats-row">
+                            <span>${this.escapeHtml(name)}</span>
+                            <span class="stats-muted">+${user.added} · 🛒 ${user.purchased} · ✖ ${user.notNeeded + user.removed}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <p class="stats-muted" style="margin-top: 8px;">+ añadidos · 🛒 comprados · ✖ quitados sin comprar</p>
+            </div>
+        `;
+    }
+
+    async showStatsModal() {
+        const existingModal = document.getElementById('stats-modal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'stats-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 600px;">
+                <div class="modal-header">
+                    <button class="back-button" id="back-to-settings-stats">← Atrás</button>
+                    <h3 class="modal-title">Estadísticas</h3>
+                    <button class="modal-close" id="stats-close">×</button>
+                </div>
+                <div id="stats-content">
+                    <div class="loading"><div class="spinner"></div><p>Analizando historial...</p></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        document.body.style.overflow = 'hidden';
+
+        const closeModal = () => {
+            modal.remove();
+            document.body.style.overflow = '';
+        };
+
+        document.getElementById('back-to-settings-stats').addEventListener('click', () => {
+            modal.remove();
+            this.showSettings();
+        });
+        document.getElementById('stats-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closeModal();
+        });
+
+        const content = document.getElementById('stats-content');
+        try {
+            const comments = await this.getAllBoardComments(this.selectedBoardId);
+            const events = comments.map(action => this.parseHistoryEvent(action)).filter(Boolean);
+            content.innerHTML = this.renderStats(this.buildStats(events), events.length);
+        } catch (error) {
+            content.innerHTML = `<div class="empty-state"><p>${this.isNetworkError(error)
+                ? 'Las estadísticas necesitan conexión con Trello'
+                : 'Error: ' + this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    // ==================== Trash ====================
+
+    // Deleting archives the card (Trello `closed`) with the date in its
+    // metadata; archived cards without that date (recorded shopping trips)
+    // are not shown here.
+
+    buildArchiveFields(card) {
+        const meta = { ...this.getCardMeta(card), deletedAt: new Date().toISOString() };
+        return { closed: true, desc: this.buildCardDesc(this.getCardNotes(card), meta) };
+    }
+
+    archiveCardOrQueue(card, { queue = false } = {}) {
+        const fields = this.buildArchiveFields(card);
+        const base = this.buildCardBase(card, { closed: false });
+
+        return this.runOrQueueOperation(
+            [card.id],
+            () => this.updateCard(card.id, fields),
+            () => this.enqueueCardUpdate(card.id, fields, base),
+            { force: queue }
+        );
+    }
+
+    unarchiveCardOrQueue(card) {
+        const meta = { ...this.getCardMeta(card), deletedAt: null };
+        const fields = { closed: false, desc: this.buildCardDesc(this.getCardNotes(card), meta) };
+        const base = this.buildCardBase(card, { closed: true });
+        card.desc = fields.desc;
+
+        return this.runOrQueueOperation(
+            [card.id],
+            () => this.updateCard(card.id, fields),
+            () => this.enqueueCardUpdate(card.id, fields, base)
+        );
+    }
+
+    getTrashPurgeDays() {
+        const saved = localStorage.getItem('trash_purge_days');
+        return saved === null ? TRASH_PURGE_DAYS_DEFAULT : Number(saved);
+    }
+
+    getDeletedAt(card) {
+        return new Date(this.getCardMeta(card).deletedAt).getTime();
+    }
+
+    // Newest deletion first
+    async getTrashCards() {
+        const cards = await this.getArchivedCards(this.selectedBoardId);
+        return cards
+            .filter(card => this.getCardMeta(card).deletedAt)
+            .sort((a, b) => this.getDeletedAt(b) - this.getDeletedAt(a));
+    }
+
+    // Runs after each board load, at most once a day per board
+    async purgeExpiredTrash() {
+        const days = this.getTrashPurgeDays();
+        if (!days || !this.selectedBoardId) return;
+
+        const purgedAtKey = `trash_purged_at_${this.selectedBoardId}`;
+        if (Date.now() - await this.storage.getValue(purgedAtKey, 0) < DAY_MS) return;
+
+        const cards = await this.getTrashCards();
+        const expired = cards.filter(card => Date.now() - this.getDeletedAt(card) >= days * DAY_MS);
+        for (const card of expired) {
+            await this.deleteCard(card.id);
+        }
+
+        await this.storage.setValue(purgedAtKey, Date.now());
+        if (expired.length > 0) {
+            console.log('🗑️ Productos eliminados definitivamente de la papelera:', expired.length);
+        }
+    }
+
+    renderTrashList(cards) {
+        if (cards.length === 0) {
+            return '<div class="empty-state"><p>La papelera está vacía</p></div>';
+        }
+
+        return `
+            <div class="stats-list">
+                ${cards.map(card => {
+                    const stores = card.idLabels.map(id => this.labels.find(l => l.id === id)?.name).filter(Boolean);
+                    return `
+                        <div class="stats-row trash-row" data-card-id="${card.id}">
+                            <div class="trash-row-text">
+                                <span>${this.escapeHtml(card.name)}</span>
+                                <span class="stats-muted">${this.escapeHtml(stores.join(', ') || 'Sin ubicación')} · ${this.formatHistoryDate(this.getCardMeta(card).deletedAt)}</span>
+                            </div>
+                            <div class="trash-row-actions">
+                                <button class="btn btn-secondary" data-trash-restore="${card.id}">Restaurar</button>
+                                <button class="btn btn-danger" data-trash-delete="${card.id}">Eliminar</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    async showTrashModal() {
+        const existingModal = document.getElementById('trash-modal');
+        if (existingModal) existingModal.remove();
+
+        const purgeDays = this.getTrashPurgeDays();
+        const modal = document.createElement('div');
+        modal.id = 'trash-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 600px;">
+                <div class="modal-header">
+                    <button class="back-button" id="back-to-settings-trash">← Atrás</button>
+                    <h3 class="modal-title">Papelera</h3>
+                    <button class="modal-close" id="trash-close">×</button>
+                </div>
+                <div class="modal-section">
+                    <label class="trash-purge">
+                        Eliminar definitivamente tras
+                        <select id="trash-purge-days" class="config-input" style="width: auto;">
+                            ${TRASH_PURGE_DAYS_OPTIONS.map(days => `
+                                <option value="${days}" ${days === purgeDays ? 'selected' : ''}>${days ? `${days} días` : 'Nunca'}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="modal-section" id="trash-content">
+                    <div class="loading"><div class="spinner"></div><p>Cargando papelera...</p></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        document.body.style.overflow = 'hidden';
+
+        const closeModal = () => {
+            modal.remove();
+            document.body.style.overflow = '';
+        };
+
+        document.getElementById('back-to-settings-trash').addEventListener('click', () => {
+            modal.remove();
+            this.showSettings();
+        });
+        document.getElementById('trash-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closeModal();
+        });
+        document.getElementById('trash-purge-days').addEventListener('change', e => {
+            localStorage.setItem('trash_purge_days', e.target.value);
+        });
+
+        const content = document.getElementById('trash-content');
+        let cards;
+        try {
+            cards = await this.getTrashCards();
+        } catch (error) {
+            content.innerHTML = `<div class="empty-state"><p>${this.isNetworkError(error)
+                ? 'La papelera necesita conexión con Trello'
+                : 'Error: ' + this.escapeHtml(error.message)}</p></div>`;
+            return;
+        }
+
+        const render = () => {
+            content.innerHTML = this.renderTrashList(cards);
+
+            content.querySelectorAll('[data-trash-restore]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const card = cards.find(c => c.id === btn.dataset.trashRestore);
+                    btn.disabled = true;
+                    try {
+                        await this.restoreTrashCard(card);
+                        cards = cards.filter(c => c !== card);
+                        render();
+                    } catch (error) {
+                        btn.disabled = false;
+                        this.showToast('Error: ' + error.message);
+                    }
+                });
+            });
+
+            content.querySelectorAll('[data-trash-delete]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const card = cards.find(c => c.id === btn.dataset.trashDelete);
+                    if (!confirm(`¿Eliminar "${card.name}" definitivamente? Se perderán sus fotos e historial.`)) return;
+                    btn.disabled = true;
+                    try {
+                        await this.deleteTrashCard(card);
+                        cards = cards.filter(c => c !== card);
+                        render();
+                    } catch (error) {
+                        btn.disabled = false;
+                        this.showToast('Error: ' + error.message);
+                    }
+                });
+            });
+        };
+
+        render();
+    }
+
+    async restoreTrashCard(card) {
+        await this.unarchiveCardOrQueue(card);
+        delete card.closed;
+
+        if (!this.cards.some(c => c.id === card.id)) {
+            this.cards.push(card);
+        }
+        this.saveBoardCache();
+        this.renderCurrentView();
+        this.showToast(`"${card.name}" restaurado`);
+    }
+
+    async deleteTrashCard(card) {
+        await this.runOrQueueOperation([card.id], () => this.deleteCard(card.id), () => {
+            this.discardCardOperations(card.id);
+            this.enqueueOperation('deleteCard', { cardId: card.id });
+        });
+    }
+
+    // ==================== Delete All Products ====================
+
+    confirmDeleteAllProducts() {
+        const modal = document.createElement('div');
+        modal.id = 'delete-all-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 400px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">⚠️ Confirmar borrado</h3>
+                    <button class="modal-close" id="delete-all-close">×</button>
+                </div>
+
+                <div class="modal-section">
+                    <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
+                        ¿Estás seguro de que quieres <strong style="color: var(--danger);">borrar TODOS los productos</strong>?
+                    </p>
+                    <p style="color: var(--text-muted); font-size: 14px; line-height: 1.6; margin-bottom: 20px;">
+                        Se moverán ${this.cards.length} productos a la Papelera,
+                        desde donde se pueden restaurar.
+                    </p>
+
+                    <div style="display: flex; gap: 12px; margin-top: 24px;">
+                        <button class="btn btn-secondary" id="cancel-delete-all" style="flex: 1;">Cancelar</button>
+                        <button class="btn btn-danger" id="confirm-delete-all" style="flex: 1;">Borrar todo</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('delete-all-close').addEventListener('click', () => modal.remove());
+        document.getElementById('cancel-delete-all').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+
+        document.getElementById('confirm-delete-all').addEventListener('click', async () => {
+            modal.remove();
+            await this.deleteAllProducts();
+        });
+    }
+
+    async deleteAllProducts() {
+        const job = this.createBulkJob('deleteAll', this.cards.map(card => ({
+            label: card.name,
+            data: { cardId: card.id }
+        })));
+
+        await this.runBulkJob(job);
+    }
+
+    async deleteProductItem({ cardId }) {
+        // Never reached Trello: dropping its queued operations is enough
+        if (this.isLocalId(cardId)) {
+            this.discardCardOperations(cardId);
+            this.cards = this.cards.filter(c => c.id !== cardId);
+            return { status: 'done' };
+        }
+
+        const card = this.cards.find(c => c.id === cardId);
+        try {
+            await this.updateCard(cardId, this.buildArchiveFields(card || { desc: '' }));
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            this.discardCardOperations(cardId);
+            this.cards = this.cards.filter(c => c.id !== cardId);
+            return { status: 'skipped', message: 'Ya no existía' };
+        }
+
+        // A queued move or edit must not bring it back to a list
+        this.discardCardOperations(cardId);
+        this.cards = this.cards.filter(c => c.id !== cardId);
+        return { status: 'done' };
+    }
+
+    // ==================== Delete Single Product ====================
+
+    confirmDeleteProduct(cardId) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) {
+            this.showToast('Producto no encontrado');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'delete-product-modal';
+        modal.className = 'modal-overlay';
+        modal.style.zIndex = '400'; // Above product detail modal (z-index: 300)
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 400px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">Confirmar eliminación</h3>
+                    <button class="modal-close" id="delete-product-close">×</button>
+                </div>
+
+                <div class="modal-section">
+                    <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
+                        ¿Estás seguro de que quieres eliminar <strong style="color: var(--text);">"${card.name}"</strong>?
+                    </p>
+                    <p style="color: var(--text-muted); font-size: 14px; line-height: 1.6; margin-bottom: 20px;">
+                        Irá a la Papelera, desde donde se puede restaurar.
+                    </p>
+
+                    <div style="display: flex; gap: 12px; margin-top: 24px;">
+                        <button class="btn btn-secondary" id="cancel-delete-product" style="flex: 1;">Cancelar</button>
+                        <button class="btn" id="confirm-delete-product" style="flex: 1; background: var(--danger);">Eliminar</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('delete-product-close').addEventListener('click', () => modal.remove());
+        document.getElementById('cancel-delete-product').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+
+        document.getElementById('confirm-delete-product').addEventListener('click', () => {
+            modal.remove();
+            this.deleteProduct(cardId);
+        });
+    }
+
+    deleteProduct(cardId) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) {
+            this.showToast('❌ Producto no encontrado');
+            return;
+        }
+
+        // Removed from the screen now, deleted in Trello when the undo window closes
+        const index = this.cards.indexOf(card);
+        this.cards = this.cards.filter(c => c.id !== cardId);
+        this.saveBoardCache();
+
+        // Close detail modal if open
+        const detailModal = document.getElementById('product-detail-modal');
+        if (detailModal) {
+            detailModal.classList.add('hidden');
+        }
+
+        this.renderAfterCardMove();
+
+        this.scheduleUndoable({
+            message: `"${card.name}" eliminado`,
+            commit: ({ queue }) => this.commitProductDelete(card, { queue }),
+            revert: () => {
+                this.cards.splice(Math.min(index, this.cards.length), 0, card);
+                this.saveBoardCache();
+                this.renderAfterCardMove();
+            },
+            compensate: () => this.restoreDeletedProduct(card)
+        });
+    }
+
+    async commitProductDelete(card, { queue = false } = {}) {
+        const cardId = card.id;
+
+        try {
+            // A card that was never uploaded only needs its queued operations
+            // dropped; the rest go to the Papelera
+            let queued = false;
+            if (this.isLocalId(cardId)) {
+                this.discardCardOperations(cardId);
+            } else {
+                queued = await this.archiveCardOrQueue(card, { queue });
+            }
+
+            if (queued && !queue) {
+                this.showToast(`"${card.name}" eliminado offline. Se sincronizara al volver la conexion.`);
+            }
+        } catch (error) {
+            if (!this.cards.includes(card)) {
+                this.cards.push(card);
+                this.saveBoardCache();
+                this.renderAfterCardMove();
+            }
+            this.showToast('❌ Error eliminando: ' + error.message);
+            console.error('Error en deleteProduct:', error);
+        }
+    }
+
+    // Undo after the delete was written: take the card out of the archive, or
+    // create it again if it had never been uploaded (its queued create is gone)
+    async restoreDeletedProduct(card) {
+        if (!this.isLocalId(card.id)) {
+            await this.unarchiveCardOrQueue(card);
+            return;
+        }
+
+        const restored = await this.createCardOrQueue(card.idList, card.name, card.idLabels, card.desc || '');
+        const index = this.cards.indexOf(card);
+        if (index === -1) {
+            this.cards.push(restored);
+        } else {
+            this.cards[index] = restored;
+        }
+        this.saveBoardCache();
+        this.renderAfterCardMove();
+    }
+
+    // ==================== Add Product Modal ====================
+
+    openAddModal() {
+        this.selectedLabels.clear();
+        document.getElementById('quick-add-input').value = '';
+        this.renderQuickAddPreview('');
+        document.getElementById('product-name').value = '';
+        document.getElementById('product-description').value = '';
+        this.renderDuplicateSuggestions('');
+        document.getElementById('add-modal').classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+
+        // Reset image upload area
+        const uploadArea = document.getElementById('image-upload-area');
+        const imageInput = document.getElementById('product-image');
+        const preview = document.getElementById('image-preview');
+
+        imageInput.value = '';
+        preview.innerHTML = '';
+        preview.classList.remove('has-image');
+        uploadArea.classList.remove('has-image');
+
+        // Render label pickers
+        this.renderLabelPickers();
+
+        // Setup image upload handlers
+        this.setupImageUpload();
+        this.setupDuplicateSuggestions();
+
+        // Focus input
+        setTimeout(() => document.getElementById('product-name').focus(), 100);
+    }
+
+    setupDuplicateSuggestions() {
+        const nameInput = document.getElementById('product-name');
+        if (!nameInput) return;
+
+        nameInput.oninput = () => {
+            this.renderDuplicateSuggestions(nameInput.value);
+        };
+    }
+
+    renderDuplicateSuggestions(query) {
+        const container = document.getElementById('duplicate-suggestions');
+        if (!container) return;
+
+        const suggestions = this.getSimilarProducts(query);
+        if (suggestions.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <div class="duplicate-suggestions-title">Productos similares</div>
+            ${suggestions.map(({ card }) => {
+                const isInList = card.idList === this.activeList?.id;
+                const status = isInList ? 'Ya en lista' : 'Añadir a lista';
+                return `
+                    <button
+                        type="button"
+                        class="duplicate-suggestion ${isInList ? 'in-list' : ''}"
+                        data-card-id="${this.escapeHtml(card.id)}"
+                        ${isInList ? 'disabled aria-disabled="true"' : ''}
+                    >
+                        <span class="duplicate-suggestion-main">
+                            <span class="duplicate-suggestion-check" aria-hidden="true">${isInList ? '✓' : ''}</span>
+                            <span class="duplicate-suggestion-name">${this.escapeHtml(card.name)}</span>
+                        </span>
+                        <span class="duplicate-suggestion-meta">${status}</span>
+                    </button>
+                `;
+            }).join('')}
+        `;
+
+        container.querySelectorAll('.duplicate-suggestion').forEach(button => {
+            button.addEventListener('click', async () => {
+                await this.addExistingProductToActiveList(button.dataset.cardId);
+            });
+        });
+    }
+
+    // `presetQuantity` skips the quantity prompt (quick add already has one)
+    async addExistingProductToActiveList(cardId, presetQuantity = null) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card || !this.activeList) return;
+
+        if (card.idList === this.activeList.id) {
+            this.showToast(`"${card.name}" ya esta en la lista`);
+            return;
+        }
+        const quantity = presetQuantity || await this.promptQuantity(card);
+        if (!quantity) return;
+        if (!(await this.ensureCurrentUserName())) return;
+
+        const previousListId = card.idList;
+        const historyEntry = this.buildHistoryEntry(card, 'added');
+        this.noteReplenishmentEvent(historyEntry);
+        const base = this.buildCardBase(card);
+        card.idList = this.activeList.id;
+        this.saveBoardCache();
+        this.saveCardQuantity(card, quantity);
+
+        this.closeAddModal();
+        this.resetAddModal();
+        requestAnimationFrame(() => this.renderCurrentView());
+
+        if (this.isLocalId(cardId)) {
+            this.enqueueCardMove(cardId, this.activeList.id, historyEntry, base);
+            this.showToast(`"${card.name}" añadido offline. Se sincronizara al volver la conexion.`);
+            return;
+        }
+
+        try {
+            await this.moveCard(cardId, this.activeList.id);
+            this.removePendingMove(cardId);
+            await this.recordOrQueueCardHistory(historyEntry);
+            this.saveBoardCache();
+            this.showToast(`"${card.name}" añadido a la lista`);
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                this.enqueueCardMove(cardId, this.activeList.id, historyEntry, base);
+                this.showToast(`"${card.name}" añadido offline. Se sincronizara al volver la conexion.`);
+                return;
+            }
+
+            card.idList = previousListId;
+            this.saveBoardCache();
+            requestAnimationFrame(() => this.renderCurrentView());
+            this.showToast('Error: ' + error.message);
+        }
+    }
+
+
+
+    setupImageUpload() {
+        const uploadArea = document.getElementById('image-upload-area');
+        const imageInput = document.getElementById('product-image');
+        const preview = document.getElementById('image-preview');
+
+        // Click to open file picker
+        uploadArea.onclick = (e) => {
+            if (e.target.classList.contains('image-preview-remove')) return;
+            imageInput.click();
+        };
+
+        // Handle file selection
+        imageInput.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.showImagePreview(file);
+            }
+        };
+    }
+
+    showImagePreview(file) {
+        const uploadArea = document.getElementById('image-upload-area');
+        const preview = document.getElementById('image-preview');
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            preview.innerHTML = `
+                <img src="${e.target.result}" alt="Preview">
+                <button type="button" class="image-preview-remove" onclick="event.stopPropagation(); app.removeImagePreview()">✕</button>
+            `;
+            preview.classList.add('has-image');
+            uploadArea.classList.add('has-image');
+        };
+        reader.readAsDataURL(file);
+    }
+
+    removeImagePreview() {
+        const uploadArea = document.getElementById('image-upload-area');
+        const imageInput = document.getElementById('product-image');
+        const preview = document.getElementById('image-preview');
+
+        imageInput.value = '';
+        preview.innerHTML = '';
+        preview.classList.remove('has-image');
+        uploadArea.classList.remove('has-image');
+    }
+
+    closeAddModal() {
+        document.getElementById('add-modal').classList.add('hidden');
+        document.body.style.overflow = '';
+    }
+
+    renderLabelPickers() {
+        const locationPicker = document.getElementById('location-picker');
+        const storePicker = document.getElementById('store-picker');
+
+        const storeNames = this.getStoreNames();
+        const storeLabels = this.labels.filter(l => storeNames.includes(l.name));
+        const locationLabels = this.labels.filter(l => !storeNames.includes(l.name));
+
+        locationPicker.innerHTML = locationLabels.map(label => `
+            <label class="label-option label-${label.color}">
+                <input type="checkbox" class="label-checkbox" value="${label.id}">
+                <span>${label.name}</span>
+            </label>
+        `).join('');
+
+        storePicker.innerHTML = storeLabels.map(label => `
+            <label class="label-option label-${label.color}">
+                <input type="checkbox" class="label-checkbox" value="${label.id}">
+                <span>${label.name}</span>
+            </label>
+        `).join('');
+
+        // Simple change listeners on checkboxes
+        document.querySelectorAll('.label-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.selectedLabels.add(e.target.value);
+                    e.target.closest('.label-option').classList.add('selected');
+                } else {
+                    this.selectedLabels.delete(e.target.value);
+                    e.target.closest('.label-option').classList.remove('selected');
+                }
+            });
+        });
+    }
+
+    async createProduct() {
+        const name = document.getElementById('product-name').value.trim();
+        const descriptionInput = document.getElementById('product-description').value.trim();
+        const imageInput = document.getElementById('product-image');
+        const imageFile = imageInput.files[0];
+        const btn = document.getElementById('create-product-btn');
+
+        if (!name) {
+            this.showToast('Introduce un nombre para el producto');
+            return;
+        }
+
+        // Enforce at least one shopping list tag (store label)
+        const storeNames = this.getStoreNames();
+        const selectedStoreLabels = Array.from(this.selectedLabels).filter(labelId => {
+            const label = this.labels.find(l => l.id === labelId);
+            return label && storeNames.includes(label.name);
+        });
+        if (selectedStoreLabels.length === 0) {
+            this.showToast('Selecciona al menos una tienda');
+            return;
+        }
+
+        btn.disabled = true;
+        btn.textContent = 'Creando...';
+
+        try {
+            // Create card in "Todos los Productos" list (queued with a temporary ID when offline)
+            const card = await this.createCardOrQueue(
+                this.allProductsList.id,
+                name,
+                Array.from(this.selectedLabels),
+                descriptionInput
+            );
+            card.attachments = card.attachments || [];
+
+            // If image selected, upload it
+            if (imageFile) {
+                btn.textContent = 'Subiendo imagen...';
+                await this.addAttachmentOrQueue(card, imageFile);
+            }
+            this.cards.push(card);
+            this.saveBoardCache();
+
+            this.closeAddModal();
+            this.resetAddModal();
+
+            // Re-render current view
+            if (this.currentView === 'stores') {
+                this.showStoreCards();
+            } else if (this.currentView === 'detail') {
+                this.renderStoreDetail(this.currentStore);
+            } else if (this.currentView === 'shopping') {
+                this.renderShoppingView(document.getElementById('shopping-mode-container'));
+            }
+
+            this.showToast(this.isLocalId(card.id)
+                ? `"${name}" creado offline. Se sincronizara al volver la conexion.`
+                : `"${name}" creado`);
+
+        } catch (error) {
+            console.error('Error creando producto:', error);
+            this.showToast('Error: ' + error.message);
+        } finally {
+            // Always reset button state
+            btn.disabled = false;
+            btn.textContent = 'Crear Producto';
+        }
+    }
+
+    resetAddModal() {
+        this.selectedLabels.clear();
+        document.getElementById('quick-add-input').value = '';
+        this.renderQuickAddPreview('');
+        document.getElementById('product-name').value = '';
+        document.getElementById('product-description').value = '';
+        this.renderDuplicateSuggestions('');
+
+        // Reset image
+        const uploadArea = document.getElementById('image-upload-area');
+        const imageInput = document.getElementById('product-image');
+        const preview = document.getElementById('image-preview');
+        if (imageInput) imageInput.value = '';
+        if (preview) {
+            preview.innerHTML = '';
+            preview.classList.remove('has-image');
+        }
+        if (uploadArea) uploadArea.classList.remove('has-image');
+
+        // Re-render label pickers to clear selections
+        this.renderLabelPickers();
+    }
+
+    // ==================== Quick Add ====================
+
+    // One line such as "2 kg naranjas fruteria" or "leche x6 @mercadona #nevera":
+    // a quantity (with or without unit), stores and locations written plainly
+    // or with @ / #, and whatever is left is the product name.
+
+    parseQuickAdd(text) {
+        const result = { name: '', quantity: null, stores: [], locations: [] };
+        const addLabel = (kind, label) => {
+            if (!result[kind].includes(label)) result[kind].push(label);
+        };
+
+        const words = text.trim().split(/\s+/).filter(Boolean);
+        const rest = [];
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+
+            const tagged = word.match(/^([@#])(.+)$/);
+            if (tagged) {
+                const kind = tagged[1] === '@' ? 'stores' : 'locations';
+                const label = this.findQuickAddLabel(kind, tagged[2].replace(/[-_]/g, ' '), { prefix: true });
+                if (label) {
+                    addLabel(kind, label);
+                    continue;
+                }
+            }
+
+            if (!result.quantity) {
+                const times = word.match(/^(?:x(\d+)|(\d+)x)$/i);
+                if (times) {
+                    result.quantity = { quantity: Number(times[1] || times[2]), unit: 'uds' };
+                    continue;
+                }
+
+                // "2", "2kg", "2,5 kg"
+                const amount = word.match(/^(\d+(?:[.,]\d+)?)(\p{L}+)?$/u);
+                if (amount) {
+                    const attachedUnit = amount[2] && QUICK_ADD_UNITS[this.normalizeString(amount[2])];
+                    const nextUnit = !amount[2] && words[i + 1] && QUICK_ADD_UNITS[this.normalizeString(words[i + 1])];
+                    if (!amount[2] || attachedUnit) {
+                        result.quantity = {
+                            quantity: parseFloat(amount[1].replace(',', '.')),
+                            unit: attachedUnit || nextUnit || QUANTITY_UNITS[0]
+                        };
+                        if (nextUnit) i++;
+                        continue;
+                    }
+                }
+            }
+
+            rest.push(word);
+        }
+
+        // Untagged store and location names, longest first so "Despensa Nuclear"
+        // wins over a shorter name contained in it
+        ['stores', 'locations'].forEach(kind => {
+            [...this.config[kind]]
+                .sort((a, b) => b.name.length - a.name.length)
+                .forEach(entry => {
+                    const nameWords = this.normalizeString(entry.name).split(/\s+/);
+                    const restWords = rest.map(word => this.normalizeString(word));
+                    const index = restWords.findIndex((_, start) =>
+                        nameWords.every((nameWord, offset) => restWords[start + offset] === nameWord)
+                    );
+                    const label = this.labels.find(l => l.name === entry.name);
+                    if (index === -1 || !label) return;
+
+                    rest.splice(index, nameWords.length);
+                    addLabel(kind, label);
+                });
+        });
+
+        const name = rest.join(' ');
+        result.name = name.charAt(0).toUpperCase() + name.slice(1);
+        return result;
+    }
+
+    findQuickAddLabel(kind, query, { prefix = false } = {}) {
+        const normalizedQuery = this.normalizeString(query);
+        const entries = this.config[kind].filter(entry => {
+            const normalizedName = this.normalizeString(entry.name);
+            return normalizedName === normalizedQuery || (prefix && normalizedName.startsWith(normalizedQuery));
+        });
+
+        for (const entry of entries) {
+            const label = this.labels.find(l => l.name === entry.name);
+            if (label) return label;
+        }
+        return null;
+    }
+
+    // Existing product the quick add line refers to, if any
+    // Same name (accents and case ignored) and, when a store was typed, in that store
+    getQuickAddMatch(parsed) {
+        const name = this.normalizeProductName(parsed.name);
+        const productLists = [this.allProductsList?.id, this.activeList?.id].filter(Boolean);
+
+        return this.cards.find(card =>
+            productLists.includes(card.idList)
+            && this.normalizeProductName(card.name) === name
+            && (parsed.stores.length === 0 || parsed.stores.some(label => card.idLabels.includes(label.id)))
+        ) || null;
+    }
+
+    // Close matches ("leche" → "Leche de avena") are only offered, never applied
+    getQuickAddSuggestions(parsed, match) {
+        return this.getSimilarProducts(parsed.name)
+            .filter(({ card, score }) => score >= QUICK_ADD_SUGGESTION_SCORE && card !== match)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3)
+            .map(({ card }) => card);
+    }
+
+    renderQuickAddPreview(text) {
+        const preview = document.getElementById('quick-add-preview');
+        if (!preview) return;
+
+        const parsed = this.parseQuickAdd(text);
+        if (!parsed.name) {
+            preview.classList.add('hidden');
+            preview.innerHTML = '';
+            return;
+        }
+
+        const match = this.getQuickAddMatch(parsed);
+        const suggestions = this.getQuickAddSuggestions(parsed, match);
+        const quantity = parsed.quantity
+            ? `${String(parsed.quantity.quantity).replace('.', ',')} ${parsed.quantity.unit}`
+            : '';
+        const details = [
+            quantity,
+            ...(match ? [] : parsed.stores.map(l => l.name)),
+            ...(match ? [] : parsed.locations.map(l => l.name))
+        ].filter(Boolean);
+
+        let status;
+        if (match?.idList === this.activeList?.id) {
+            status = 'Ya en la lista';
+        } else if (match) {
+            status = 'Añadir existente';
+        } else {
+            status = parsed.stores.length > 0 ? 'Crear nuevo' : 'Falta la tienda (@tienda)';
+        }
+
+        preview.classList.remove('hidden');
+        preview.innerHTML = `
+            <span class="quick-add-name">${this.escapeHtml(match ? match.name : parsed.name)}</span>
+            ${details.length > 0 ? `<span class="quick-add-details">${this.escapeHtml(details.join(' · '))}</span>` : ''}
+            <span class="quick-add-status">${status}</span>
+            ${suggestions.length > 0 ? `
+                <div class="quick-add-suggestions">
+                    <span>¿Querías decir?</span>
+                    ${suggestions.map(card => `
+                        <button type="button" class="quick-add-suggestion" data-card-id="${card.id}">${this.escapeHtml(card.name)}</button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+
+        preview.querySelectorAll('.quick-add-suggestion').forEach(btn => {
+            btn.addEventListener('click', () => this.addExistingProductToActiveList(btn.dataset.cardId, parsed.quantity));
+        });
+    }
+
+    async quickAdd(text) {
+        const parsed = this.parseQuickAdd(text);
+        if (!parsed.name) {
+            this.showToast('Escribe el nombre del producto');
+            return;
+        }
+
+        const match = this.getQuickAddMatch(parsed);
+        if (match) {
+            await this.addExistingProductToActiveList(match.id, parsed.quantity);
+            return;
+        }
+
+        if (parsed.stores.length === 0) {
+            this.showToast('Indica una tienda, por ejemplo @mercadona');
+            return;
+        }
+
+        const quantity = parsed.quantity || await this.promptQuantity({ name: parsed.name, desc: '' });
+        if (!quantity) return;
+        if (!(await this.ensureCurrentUserName())) return;
+
+        try {
+            const card = await this.createCardOrQueue(
+                this.activeList.id,
+                parsed.name,
+                [...parsed.stores, ...parsed.locations].map(label => label.id),
+                this.buildCardDesc('', { quantity: quantity.quantity, unit: quantity.unit })
+            );
+            card.attachments = card.attachments || [];
+            this.cards.push(card);
+            this.saveBoardCache();
+            this.recordOrQueueCardHistory(this.buildHistoryEntry(card, 'added'));
+
+            this.closeAddModal();
+            this.resetAddModal();
+            requestAnimationFrame(() => this.renderCurrentView());
+
+            this.showToast(this.isLocalId(card.id)
+                ? `"${card.name}" creado offline. Se sincronizara al volver la conexion.`
+                : `"${card.name}" añadido a la lista`);
+        } catch (error) {
+            console.error('Error en quickAdd:', error);
+            this.showToast('Error: ' + error.message);
+        }
+    }
+
+    // ==================== Paste List ====================
+
+    // A list pasted from a chat: one product per line, each parsed like a quick
+    // add line and matched against the catalog. The review lets each line use
+    // a suggested product, create a new one in a chosen store, or be skipped.
+
+    parsePastedLines(text) {
+        return text
+            .split(/\r?\n/)
+            // Bullets, numbering and checkboxes chat apps put in front
+            .map(line => line.replace(/^\s*(?:[-*•·]|\d+[.)]|\[[ xX]?\])\s*/, '').trim())
+            .filter(Boolean);
     }
 
-    async syncPendingMoves({ silent = false } = {}) {
-        const moves = this.loadPendingMoves();
-        const pendingHistory = this.loadPendingHistory();
-        if ((moves.length === 0 && pendingHistory.length === 0) || this.isSyncing) {
-            this.updateConnectionStatus();
-            return moves.length === 0 && pendingHistory.length === 0;
-        }
+    buildPasteRows(lines) {
+        return lines.map(text => {
+            const parsed = this.parseQuickAdd(text);
+            const candidates = parsed.name ? this.getSimilarProducts(parsed.name) : [];
+            // Preselected only on the same match quick add would reuse; the rest stay suggestions
+            const match = parsed.name ? this.getQuickAddMatch(parsed) : null;
+            if (match && !candidates.some(candidate => candidate.card === match)) {
+                candidates.unshift({ card: match, score: 100 });
+            }
 
-        console.log('🔄 Sincronizando cambios offline:', moves);
-        this.isSyncing = true;
-        this.updateConnectionStatus();
+            return {
+                text,
+                parsed,
+                candidates,
+                choice: !parsed.name ? 'skip' : (match ? match.id : 'new'),
+                storeId: parsed.stores[0]?.id || ''
+            };
+        });
+    }
 
-        const remaining = [];
+    getPasteRowStatus(row) {
+        if (row.choice === 'skip') return { text: 'Se omitirá', className: 'muted' };
+        if (row.choice === 'new') return { text: 'Se creará', className: 'new' };
 
-        for (const move of moves) {
-            try {
-                await this.moveCard(move.cardId, move.targetListId);
-                this.serverReachable = true;
-                console.log('✅ Cambio offline sincronizado:', move);
-            } catch (error) {
-                remaining.push(move);
-                console.error('❌ Error sincronizando cambio offline:', move, error);
+        const card = this.cards.find(c => c.id === row.choice);
+        return card?.idList === this.activeList?.id
+            ? { text: 'Ya en lista', className: 'muted' }
+            : { text: 'Se añadirá', className: 'add' };
+    }
 
-                if (this.isNetworkError(error)) {
-                    this.serverReachable = false;
-                    const moveIndex = moves.indexOf(move);
-                    remaining.push(...moves.slice(moveIndex + 1));
-                    break;
-                }
+    renderPasteReview(rows) {
+        const storeNames = this.getStoreNames();
+        const storeLabels = this.labels.filter(l => storeNames.includes(l.name));
 
-                console.warn('No se pudo sincronizar un cambio pendiente:', error);
-                continue;
-            }
+        return `
+            <div class="paste-review">
+                ${rows.map((row, index) => {
+                    const status = this.getPasteRowStatus(row);
+                    const quantity = row.parsed.quantity
+                        ? ` · ${String(row.parsed.quantity.quantity).replace('.', ',')} ${row.parsed.quantity.unit}`
+                        : '';
+                    return `
+                        <div class="paste-row" data-row="${index}">
+                            <div class="paste-row-line">
+                                <span>${this.escapeHtml(row.text)}</span>
+                                <span class="paste-status ${status.className}">${status.text}</span>
+                            </div>
+                            <select class="config-input paste-choice" data-row="${index}">
+                                ${row.candidates.map(({ card, score }) => `
+                                    <option value="${card.id}" ${row.choice === card.id ? 'selected' : ''}>
+                                        ${this.escapeHtml(card.name)} (${score}%)${card.idList === this.activeList?.id ? ' ✓' : ''}
+                                    </option>
+                                `).join('')}
+                                ${row.parsed.name ? `<option value="new" ${row.choice === 'new' ? 'selected' : ''}>➕ Crear "${this.escapeHtml(row.parsed.name)}"${quantity}</option>` : ''}
+                                <option value="skip" ${row.choice === 'skip' ? 'selected' : ''}>Omitir</option>
+                            </select>
+                            ${row.choice === 'new' ? `
+                                <select class="config-input paste-store" data-row="${index}">
+                                    <option value="">Elige tienda...</option>
+                                    ${storeLabels.map(store => `
+                                        <option value="${store.id}" ${row.storeId === store.id ? 'selected' : ''}>${this.getStoreIcon(store.name)} ${this.escapeHtml(store.name)}</option>
+                                    `).join('')}
+                                </select>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
 
-            if (move.history) {
-                try {
-                    await this.recordCardHistory(move.history);
-                } catch (error) {
-                    if (this.isNetworkError(error)) {
-                        this.enqueueCardHistory(move.history);
-                        this.serverReachable = false;
-                        const moveIndex = moves.indexOf(move);
-                        remaining.push(...moves.slice(moveIndex + 1));
-                        break;
-                    }
+    showPasteListModal() {
+        const existingModal = document.getElementById('paste-list-modal');
+        if (existingModal) existingModal.remove();
 
-                    console.warn('No se pudo registrar el historial pendiente:', error);
+        const modal = document.createElement('div');
+        modal.id = 'paste-list-modal';
+        modal.className = 'modal-overlay';
+        modal.style.zIndex = '450';
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 560px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">📋 Pegar lista</h3>
+                    <button class="modal-close" id="paste-list-close">×</button>
+                </div>
+                <div class="modal-section" id="paste-list-body">
+                    <textarea id="paste-list-text" class="input" rows="8" placeholder="Un producto por línea:&#10;2 kg naranjas&#10;leche x6&#10;pan"></textarea>
+                    <button class="btn btn-primary" id="paste-list-review" style="margin-top: 12px;">Revisar</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => modal.remove();
+        document.getElementById('paste-list-close').addEventListener('click', close);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) close();
+        });
+
+        const body = document.getElementById('paste-list-body');
+        let rows = [];
+
+        const renderReview = () => {
+            const count = rows.filter(row => this.getPasteRowStatus(row).className !== 'muted').length;
+            body.innerHTML = `
+                ${this.renderPasteReview(rows)}
+                <div style="display: flex; gap: 12px; margin-top: 16px;">
+                    <button class="btn btn-secondary" id="paste-list-back" style="flex: 1;">Editar texto</button>
+                    <button class="btn btn-primary" id="paste-list-confirm" style="flex: 1;" ${count === 0 ? 'disabled' : ''}>Añadir ${count}</button>
+                </div>
+            `;
+
+            body.querySelectorAll('.paste-choice').forEach(select => {
+                select.addEventListener('change', () => {
+                    rows[Number(select.dataset.row)].choice = select.value;
+                    renderReview();
+                });
+            });
+            body.querySelectorAll('.paste-store').forEach(select => {
+                select.addEventListener('change', () => {
+                    rows[Number(select.dataset.row)].storeId = select.value;
+                });
+            });
+
+            document.getElementById('paste-list-back').addEventListener('click', () => {
+                this.showPasteListModal();
+                document.getElementById('paste-list-text').value = rows.map(row => row.text).join('\n');
+            });
+
+            document.getElementById('paste-list-confirm').addEventListener('click', async () => {
+                const missingStore = rows.find(row => row.choice === 'new' && !row.storeId);
+                if (missingStore) {
+                    this.showToast(`Elige la tienda de "${missingStore.parsed.name}"`);
+                    return;
+                }
+
+                const confirmBtn = document.getElementById('paste-list-confirm');
+                confirmBtn.disabled = true;
+                confirmBtn.textContent = 'Añadiendo...';
+                if (await this.addPastedRows(rows)) {
+                    close();
+                    this.closeAddModal();
+                    this.resetAddModal();
+                } else if (rows.some(row => row.failed)) {
+                    // What was added is done: only the failed rows can be retried
+                    rows = rows.filter(row => row.failed);
+                    renderReview();
+                } else {
+                    confirmBtn.disabled = false;
+                    confirmBtn.textContent = `Añadir ${count}`;
                 }
+            });
+        };
+
+        document.getElementById('paste-list-review').addEventListener('click', () => {
+            const lines = this.parsePastedLines(document.getElementById('paste-list-text').value);
+            if (lines.length === 0) {
+                this.showToast('Pega al menos un producto');
+                return;
             }
-        }
 
-        this.savePendingMoves(remaining);
+            rows = this.buildPasteRows(lines);
+            renderReview();
+        });
 
-        if (remaining.length === 0) {
-            const historyEntries = this.loadPendingHistory();
-            const historyRemaining = [];
-            for (const entry of historyEntries) {
-                try {
-                    await this.recordCardHistory(entry);
-                    this.serverReachable = true;
-                } catch (error) {
-                    historyRemaining.push(entry);
-                    if (this.isNetworkError(error)) {
-                        this.serverReachable = false;
-                        const entryIndex = historyEntries.indexOf(entry);
-                        historyRemaining.push(...historyEntries.slice(entryIndex + 1));
-                        break;
-                    }
-                }
+        setTimeout(() => document.getElementById('paste-list-text')?.focus(), 50);
+    }
+
+    // Moves and creates go through the offline queues like single adds do.
+    // A created row then points at its new card, so a retry after a partial
+    // failure does not create it again; failed rows are marked `failed`.
+    async addPastedRows(rows) {
+        if (!(await this.ensureCurrentUserName())) return false;
+
+        let added = 0;
+        let created = 0;
+        let failed = 0;
+
+        for (const row of rows) {
+            row.failed = false;
+            if (row.choice === 'skip') continue;
+            const quantity = row.parsed.quantity || { quantity: 1, unit: QUANTITY_UNITS[0] };
+
+            if (row.choice !== 'new') {
+                const card = this.cards.find(c => c.id === row.choice);
+                // Several lines can point at the same product
+                if (!card || card.idList === this.activeList.id) continue;
+
+                const previousListId = card.idList;
+                const historyEntry = this.buildHistoryEntry(card, 'added');
+                this.noteReplenishmentEvent(historyEntry);
+                card.idList = this.activeList.id;
+                this.persistCardMove(card, previousListId, this.activeList.id, historyEntry);
+                this.saveCardQuantity(card, quantity);
+                added++;
+                continue;
+            }
+
+            try {
+                const labelIds = [row.storeId, ...row.parsed.locations.map(label => label.id)];
+                const card = await this.createCardOrQueue(
+                    this.activeList.id,
+                    row.parsed.name,
+                    [...new Set(labelIds)],
+                    this.buildCardDesc('', { quantity: quantity.quantity, unit: quantity.unit })
+                );
+                card.attachments = card.attachments || [];
+                this.cards.push(card);
+                this.recordOrQueueCardHistory(this.buildHistoryEntry(card, 'added'));
+                row.choice = card.id;
+                created++;
+            } catch (error) {
+                console.error(`Error creando "${row.parsed.name}":`, error);
+                row.failed = true;
+                failed++;
             }
-            this.savePendingHistory(historyRemaining);
         }
 
         this.saveBoardCache();
-        this.isSyncing = false;
-        this.updateConnectionStatus();
+        requestAnimationFrame(() => this.renderCurrentView());
 
-        const totalPending = this.loadPendingMoves().length + this.loadPendingHistory().length;
-        if (!silent && (moves.length > 0 || pendingHistory.length > 0) && totalPending === 0) {
-            this.showToast('Cambios offline sincronizados');
-        } else if (!silent && totalPending > 0) {
-            this.showToast(`No se pudieron sincronizar ${totalPending} cambio${totalPending === 1 ? '' : 's'}. Se intentara de nuevo.`);
+        const summary = [
+            added > 0 ? `${added} añadidos` : '',
+            created > 0 ? `${created} creados` : '',
+            failed > 0 ? `${failed} con error` : ''
+        ].filter(Boolean).join(' · ');
+        this.showToast(summary || 'Nada que añadir');
+        return failed === 0;
+    }
+
+    // ==================== Share List ====================
+
+    // "Lista Activa" as text for people without the app, grouped by store and
+    // then by location. A product with several stores appears under each one.
+
+    buildShareText({ storeId = '', format = 'text' } = {}) {
+        const markdown = format === 'markdown';
+        const formatCard = card => {
+            const quantity = this.formatCardQuantity(card);
+            const notes = this.getCardNotes(card).replace(/\s*\n\s*/g, ' ');
+            const line = markdown
+                ? `- [ ] ${card.name}${quantity ? ` — ${quantity}` : ''}`
+                : `- ${card.name}${quantity ? ` (${quantity})` : ''}`;
+            return notes ? `${line}${markdown ? `\n  _${notes}_` : ` · ${notes}`}` : line;
+        };
+
+        const lines = [markdown ? '# Lista de la compra' : '🛒 Lista de la compra'];
+        this.getActiveListGroups(storeId).forEach(group => {
+            lines.push('', markdown ? `## ${group.title}` : group.title.toUpperCase());
+
+            group.locations.forEach(section => {
+                lines.push(markdown ? `\n### ${section.name}` : `\n${section.name}:`);
+                section.cards.forEach(card => lines.push(formatCard(card)));
+            });
+        });
+
+        if (lines.length === 1) {
+            lines.push('', 'No hay productos en la lista.');
         }
+        return lines.join('\n');
+    }
 
-        return totalPending === 0;
+    // Web Share where the browser has it (the mobile share sheet), clipboard otherwise
+    async shareListText(text) {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: 'Lista de la compra', text });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Web Share no disponible, copiando al portapapeles:', error);
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showToast('Lista copiada al portapapeles');
+        } catch (error) {
+            console.warn('No se pudo copiar la lista:', error);
+            this.showToast('No se pudo copiar: selecciona el texto y cópialo');
+        }
     }
 
-    showSettings() {
-        // Create settings modal dynamically
-        const existingModal = document.getElementById('settings-modal');
+    showShareListModal(storeId = '') {
+        const existingModal = document.getElementById('share-list-modal');
         if (existingModal) existingModal.remove();
 
+        const storeNames = this.getStoreNames();
+        const storeLabels = this.labels.filter(l => storeNames.includes(l.name));
+
         const modal = document.createElement('div');
-        modal.id = 'settings-modal';
+        modal.id = 'share-list-modal';
         modal.className = 'modal-overlay';
         modal.innerHTML = `
-            <div class="modal">
+            <div class="modal" style="max-width: 520px;">
                 <div class="modal-header">
-                    <h3 class="modal-title">Ajustes</h3>
-                    <button class="modal-close" id="settings-close">×</button>
+                    <h3 class="modal-title">📤 Compartir lista</h3>
+                    <button class="modal-close" id="share-list-close">×</button>
                 </div>
-
-                <div class="settings-options">
-                    <button class="settings-option" id="settings-user">
-                        <span class="settings-option-icon">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
-                                <path d="M3 14s-1 0-1-1 1-4 6-4 6 3 6 4-1 1-1 1H3zm5-6a3 3 0 1 0 0-6 3 3 0 0 0 0 6z"/>
-                            </svg>
-                        </span>
-                        <div class="settings-option-text">
-                            <strong>Usuario</strong>
-                            <span>${this.currentUserName ? this.escapeHtml(this.currentUserName) : 'Configurar nombre para el historial'}</span>
-                        </div>
-                    </button>
-
-                    <button class="settings-option" id="settings-config-stores">
-                        <span class="settings-option-icon">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
-                                <path d="M2.97 1.35A1 1 0 0 1 3.73 1h8.54a1 1 0 0 1 .76.35l2.609 3.044A1.5 1.5 0 0 1 16 5.37v.255a2.375 2.375 0 0 1-4.25 1.458A2.371 2.371 0 0 1 9.875 8 2.37 2.37 0 0 1 8 7.083 2.37 2.37 0 0 1 6.125 8a2.37 2.37 0 0 1-1.875-.917A2.375 2.375 0 0 1 0 5.625V5.37a1.5 1.5 0 0 1 .361-.976l2.61-3.045zm1.78 4.275a1.375 1.375 0 0 0 2.75 0 .5.5 0 0 1 1 0 1.375 1.375 0 0 0 2.75 0 .5.5 0 0 1 1 0 1.375 1.375 0 1 0 2.75 0V5.37a.5.5 0 0 0-.12-.325L12.27 2H3.73L1.12 5.045A.5.5 0 0 0 1 5.37v.255a1.375 1.375 0 0 0 2.75 0 .5.5 0 0 1 1 0zM1.5 8.5A.5.5 0 0 1 2 9v6h1v-5a1 1 0 0 1 1-1h3a1 1 0 0 1 1 1v5h6V9a.5.5 0 0 1 1 0v6h.5a.5.5 0 0 1 0 1H.5a.5.5 0 0 1 0-1H1V9a.5.5 0 0 1 .5-.5zM4 15h3v-5H4v5zm5-5a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v3a1 1 0 0 1-1 1h-2a1 1 0 0 1-1-1v-3zm3 0h-2v3h2v-3z"/>
-                            </svg>
-                        </span>
-                        <div class="settings-option-text">
-                            <strong>Gestionar tiendas</strong>
-                            <span>Añadir, editar o eliminar tiendas</span>
-                        </div>
-                    </button>
-
-                    <button class="settings-option" id="settings-config-locations">
-                        <span class="settings-option-icon">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
-                                <path d="M8 16s6-5.686 6-10A6 6 0 0 0 2 6c0 4.314 6 10 6 10zm0-7a3 3 0 1 1 0-6 3 3 0 0 1 0 6z"/>
-                            </svg>
-                        </span>
-                        <div class="settings-option-text">
-                            <strong>Gestionar ubicaciones</strong>
-                            <span>Añadir, editar o eliminar ubicaciones</span>
-                        </div>
-                    </button>
-
-                    <button class="settings-option" id="settings-import-export">
-                        <span class="settings-option-icon">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
-                                <path d="M8.186 1.113a.5.5 0 0 0-.372 0L1.846 3.5 8 5.961 14.154 3.5 8.186 1.113zM15 4.239l-6.5 2.6v7.922l6.5-2.6V4.24zM7.5 14.762V6.838L1 4.239v7.923l6.5 2.6zM7.443.184a1.5 1.5 0 0 1 1.114 0l7.129 2.852A.5.5 0 0 1 16 3.5v8.662a1 1 0 0 1-.629.928l-7.185 2.874a.5.5 0 0 1-.372 0L.63 13.09a1 1 0 0 1-.630-.928V3.5a.5.5 0 0 1 .314-.464L7.443.184z"/>
-                            </svg>
-                        </span>
-                        <div class="settings-option-text">
-                            <strong>Importar / Exportar</strong>
-                            <span>Importar o exportar productos en JSON</span>
-                        </div>
-                    </button>
-
-                    <button class="settings-option danger" id="settings-logout">
-                        <span class="settings-option-icon">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="white" viewBox="0 0 16 16">
-                                <path fill-rule="evenodd" d="M10 12.5a.5.5 0 0 1-.5.5h-8a.5.5 0 0 1-.5-.5v-9a.5.5 0 0 1 .5-.5h8a.5.5 0 0 1 .5.5v2a.5.5 0 0 0 1 0v-2A1.5 1.5 0 0 0 9.5 2h-8A1.5 1.5 0 0 0 0 3.5v9A1.5 1.5 0 0 0 1.5 14h8a1.5 1.5 0 0 0 1.5-1.5v-2a.5.5 0 0 0-1 0v2z"/>
-                                <path fill-rule="evenodd" d="M15.854 8.354a.5.5 0 0 0 0-.708l-3-3a.5.5 0 0 0-.708.708L14.293 7.5H5.5a.5.5 0 0 0 0 1h8.793l-2.147 2.146a.5.5 0 0 0 .708.708l3-3z"/>
-                            </svg>
-                        </span>
-                        <div class="settings-option-text">
-                            <strong>Cerrar sesión</strong>
-                            <span>Desconectar de Trello</span>
-                        </div>
-                    </button>
+                <div class="modal-section share-options">
+                    <select id="share-list-store" class="config-input">
+                        <option value="">Todas las tiendas</option>
+                        ${storeLabels.map(store => `
+                            <option value="${store.id}" ${store.id === storeId ? 'selected' : ''}>${this.getStoreIcon(store.name)} ${this.escapeHtml(store.name)}</option>
+                        `).join('')}
+                    </select>
+                    <select id="share-list-format" class="config-input">
+                        <option value="text">Texto</option>
+                        <option value="markdown">Markdown</option>
+                    </select>
+                </div>
+                <div class="modal-section">
+                    <textarea id="share-list-preview" class="input share-preview" rows="12" readonly></textarea>
+                    <button class="btn btn-primary" id="share-list-send" style="margin-top: 12px;">Compartir</button>
                 </div>
             </div>
         `;
@@ -2467,714 +6567,1253 @@ class TrelloShoppingApp {
             document.body.style.overflow = '';
         };
 
-        // Bind events
-        document.getElementById('settings-close').addEventListener('click', closeModal);
-        modal.addEventListener('click', (e) => {
+        const preview = document.getElementById('share-list-preview');
+        const update = () => {
+            preview.value = this.buildShareText({
+                storeId: document.getElementById('share-list-store').value,
+                format: document.getElementById('share-list-format').value
+            });
+        };
+
+        document.getElementById('share-list-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', e => {
             if (e.target === modal) closeModal();
         });
+        document.getElementById('share-list-store').addEventListener('change', update);
+        document.getElementById('share-list-format').addEventListener('change', update);
+        document.getElementById('share-list-send').addEventListener('click', () => this.shareListText(preview.value));
 
-        document.getElementById('settings-import-export').addEventListener('click', () => {
-            modal.remove();
-            this.showImportExportModal();
-        });
+        update();
+    }
 
-        document.getElementById('settings-user').addEventListener('click', async () => {
-            modal.remove();
-            document.body.style.overflow = '';
-            await this.promptCurrentUserName();
-        });
+    // ==================== Print List ====================
 
-        document.getElementById('settings-config-stores').addEventListener('click', () => {
-            modal.remove();
-            this.showConfigStoresModal();
-        });
+    // A paper version of "Lista Activa": one section per store and, inside,
+    // the same location groups as the shopping view, with an empty checkbox,
+    // the quantity and the notes of every product. It lives in #print-view,
+    // the only element the print stylesheet shows; saving as PDF is the
+    // "Guardar como PDF" destination of the same print dialog.
 
-        document.getElementById('settings-config-locations').addEventListener('click', () => {
-            modal.remove();
-            this.showConfigLocationsModal();
-        });
+    renderPrintList(storeId = '') {
+        const renderItem = card => {
+            const quantity = this.formatCardQuantity(card);
+            const notes = this.getCardNotes(card).trim();
+            return `
+                <li class="print-item">
+                    <span class="print-checkbox"></span>
+                    <span class="print-item-name">${this.escapeHtml(card.name)}</span>
+                    ${quantity ? `<span class="print-item-quantity">${this.escapeHtml(quantity)}</span>` : ''}
+                    ${notes ? `<span class="print-item-notes">${this.escapeHtml(notes)}</span>` : ''}
+                </li>
+            `;
+        };
 
-        document.getElementById('settings-logout').addEventListener('click', () => {
-            closeModal();
-            this.logout();
-        });
+        const renderSection = (title, cards) => `
+            <section class="print-location">
+                <h3>${this.escapeHtml(title)}</h3>
+                <ul class="print-items">${cards.map(renderItem).join('')}</ul>
+            </section>
+        `;
+
+        const printedStores = this.getActiveListGroups(storeId);
+        const total = new Set(printedStores.flatMap(store => store.cards)).size;
+
+        return `
+            <header class="print-header">
+                <h1>🛒 Lista de la compra</h1>
+                <span>${new Date().toLocaleDateString('es')} · ${total} producto${total === 1 ? '' : 's'}</span>
+            </header>
+            ${printedStores.map(store => `
+                <section class="print-store">
+                    <h2>${this.escapeHtml(store.title)}</h2>
+                    ${store.locations.map(section => renderSection(section.name, section.cards)).join('')}
+                </section>
+            `).join('') || '<p>No hay productos en la lista.</p>'}
+        `;
+    }
+
+    printList(storeId = '') {
+        let view = document.getElementById('print-view');
+        if (!view) {
+            view = document.createElement('div');
+            view.id = 'print-view';
+            document.body.appendChild(view);
+        }
+        view.innerHTML = this.renderPrintList(storeId);
+
+        // Browsers suggest the document title as the name of the PDF
+        const title = document.title;
+        document.title = `lista-compra-${this.getExportDate()}`;
+        window.addEventListener('afterprint', () => {
+            document.title = title;
+            view.remove();
+        }, { once: true });
+
+        window.print();
     }
 
-    // ==================== Delete All Products ====================
+    showPrintListModal(storeId = '') {
+        const existingModal = document.getElementById('print-list-modal');
+        if (existingModal) existingModal.remove();
+
+        const storeNames = this.getStoreNames();
+        const storeLabels = this.labels.filter(l => storeNames.includes(l.name));
 
-    confirmDeleteAllProducts() {
         const modal = document.createElement('div');
-        modal.id = 'delete-all-modal';
+        modal.id = 'print-list-modal';
         modal.className = 'modal-overlay';
         modal.innerHTML = `
-            <div class="modal" style="max-width: 400px;">
+            <div class="modal" style="max-width: 520px;">
                 <div class="modal-header">
-                    <h3 class="modal-title">⚠️ Confirmar borrado</h3>
-                    <button class="modal-close" id="delete-all-close">×</button>
+                    <h3 class="modal-title">🖨️ Imprimir lista</h3>
+                    <button class="modal-close" id="print-list-close">×</button>
                 </div>
-
                 <div class="modal-section">
-                    <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
-                        ¿Estás seguro de que quieres <strong style="color: var(--danger);">borrar TODOS los productos</strong>?
-                    </p>
-                    <p style="color: var(--text-muted); font-size: 14px; line-height: 1.6; margin-bottom: 20px;">
-                        Se eliminarán ${this.cards.length} productos del tablero.
-                        <br><br>
-                        <strong>Esta acción no se puede deshacer.</strong>
+                    <select id="print-list-store" class="config-input">
+                        <option value="">Todas las tiendas</option>
+                        ${storeLabels.map(store => `
+                            <option value="${store.id}" ${store.id === storeId ? 'selected' : ''}>${this.getStoreIcon(store.name)} ${this.escapeHtml(store.name)}</option>
+                        `).join('')}
+                    </select>
+                    <p style="color: var(--text-secondary); font-size: 13px; margin: 12px 0;">
+                        Para guardarla como PDF, elige "Guardar como PDF" como destino en el diálogo de impresión.
                     </p>
-
-                    <div style="display: flex; gap: 12px; margin-top: 24px;">
-                        <button class="btn btn-secondary" id="cancel-delete-all" style="flex: 1;">Cancelar</button>
-                        <button class="btn btn-danger" id="confirm-delete-all" style="flex: 1;">Borrar todo</button>
-                    </div>
+                    <button class="btn btn-primary" id="print-list-print">🖨️ Imprimir o guardar PDF</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(modal);
 
-        document.getElementById('delete-all-close').addEventListener('click', () => modal.remove());
-        document.getElementById('cancel-delete-all').addEventListener('click', () => modal.remove());
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) modal.remove();
+        const closeModal = () => modal.remove();
+
+        document.getElementById('print-list-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closeModal();
+        });
+        document.getElementById('print-list-print').addEventListener('click', () => {
+            const selectedStoreId = document.getElementById('print-list-store').value;
+            closeModal();
+            this.printList(selectedStoreId);
         });
+    }
 
-        document.getElementById('confirm-delete-all').addEventListener('click', async () => {
-            modal.remove();
-            await this.deleteAllProducts();
+    // ==================== Import/Export ====================
+
+    /**
+     * Export format:
+     * {
+     *   "version": 1,
+     *   "exported": "2024-01-15T10:30:00Z",
+     *   "products": [
+     *     {
+     *       "name": "Leche entera",
+     *       "desc": "Marca Central Lechera, 1L",
+     *       "stores": ["Mercadona", "Caprabo"],
+     *       "locations": ["Nevera"],
+     *       "inList": false
+     *     }
+     *   ]
+     * }
+     */
+
+    buildExportProducts(cards = this.cards) {
+        const storeNames = this.getStoreNames();
+
+        return cards.map(card => {
+            const cardLabels = this.labels.filter(l => card.idLabels.includes(l.id));
+            const stores = cardLabels.filter(l => storeNames.includes(l.name)).map(l => ({
+                name: l.name,
+                color: l.color
+            }));
+            const locations = cardLabels.filter(l => !storeNames.includes(l.name)).map(l => ({
+                name: l.name,
+                color: l.color
+            }));
+
+            // Export image URLs if available
+            const images = [];
+            if (card.attachments && card.attachments.length > 0) {
+                images.push(...card.attachments
+                    .filter(att => att.mimeType && att.mimeType.startsWith('image/'))
+                    .map(att => att.url)
+                );
+            }
+
+            const { notes, meta } = this.parseCardDesc(card.desc);
+
+            return {
+                name: card.name,
+                desc: notes,
+                stores,
+                locations,
+                images,
+                inList: card.idList === this.activeList?.id,
+                ...(meta.quantity ? { quantity: meta.quantity, unit: meta.unit } : {})
+            };
         });
     }
 
-    async deleteAllProducts() {
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    getExportDate() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    exportProducts() {
+        const products = this.buildExportProducts();
+
+        const exportData = {
+            version: 2,
+            exported: new Date().toISOString(),
+            products,
+            // Export available stores and locations for reference
+            availableStores: this.config.stores.map(s => ({
+                name: s.name,
+                color: s.color,
+                icon: s.icon
+            })),
+            availableLocations: this.config.locations.map(l => ({
+                name: l.name,
+                color: l.color
+            }))
+        };
+
+        this.downloadFile(JSON.stringify(exportData, null, 2), `shopping-list-export-${this.getExportDate()}.json`, 'application/json');
+
+        this.showToast(`Exportados ${products.length} productos`);
+    }
+
+    // Semicolon separated with a UTF-8 BOM so Excel in Spanish opens it as is
+    exportProductsCsv() {
+        const products = this.buildExportProducts();
+        const rows = [
+            CSV_COLUMNS,
+            ...products.map(product => [
+                product.name,
+                product.desc,
+                product.stores.map(s => s.name).join(CSV_VALUE_SEPARATOR),
+                product.locations.map(l => l.name).join(CSV_VALUE_SEPARATOR),
+                product.inList ? 'sí' : 'no'
+            ])
+        ];
+
+        this.downloadFile(`\uFEFF${this.toCsv(rows)}`, `shopping-list-export-${this.getExportDate()}.csv`, 'text/csv;charset=utf-8');
+        this.showToast(`Exportados ${products.length} productos`);
+    }
+
+    toCsv(rows, separator = CSV_SEPARATOR) {
+        const escapeCell = value => {
+            let text = String(value ?? '');
+            if (CSV_FORMULA_START.test(text)) text = `'${text}`;
+            return /["\r\n]/.test(text) || text.includes(separator) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escapeCell).join(separator)).join('\r\n');
+    }
+
+    // RFC 4180 with the separator guessed from the header line (";" from
+    // Spanish Excel, "," or tab otherwise)
+    parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const separator = [';', ',', '\t']
+            .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    // Rows of a CSV file as products in the JSON import shape
+    // Without an inList or checked column, inListByDefault decides: exports
+    // of other apps are shopping lists, so everything in them is still to buy
+    parseCsvProducts(text, { inListByDefault = false } = {}) {
+        const [header = [], ...rows] = this.parseCsv(text);
+        const columns = {};
+        header.forEach((title, index) => {
+            const key = this.normalizeString(title.trim());
+            const column = Object.keys(CSV_HEADER_ALIASES).find(name => CSV_HEADER_ALIASES[name].includes(key));
+            if (column && columns[column] === undefined) columns[column] = index;
+        });
+
+        if (columns.name === undefined) {
+            throw new Error('El CSV necesita una columna "name" o "nombre"');
+        }
+
+        const cell = (row, column) => {
+            const value = columns[column] === undefined ? '' : (row[columns[column]] || '').trim();
+            return value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+        };
+        const list = value => value.split(CSV_VALUE_SEPARATOR).map(v => v.trim()).filter(Boolean);
+        const isYes = value => ['si', 'yes', 'true', '1', 'x'].includes(this.normalizeString(value));
+        const inList = row => {
+            if (columns.inList !== undefined) return isYes(cell(row, 'inList'));
+            if (columns.checked !== undefined) return !isYes(cell(row, 'checked'));
+            return inListByDefault;
+        };
+
+        return rows
+            .map(row => {
+                const quantity = cell(row, 'quantity') && this.parseQuickAdd(cell(row, 'quantity')).quantity;
+                return {
+                    name: cell(row, 'name'),
+                    desc: cell(row, 'description'),
+                    stores: list(cell(row, 'stores')),
+                    locations: list(cell(row, 'locations')),
+                    inList: inList(row),
+                    ...(quantity ? { quantity: quantity.quantity, unit: quantity.unit } : {})
+                };
+            })
+            .filter(product => product.name);
+    }
+
+    async importProducts(file) {
         try {
-            this.showToast('Borrando productos...');
+            const text = await file.text();
+            let products;
+
+            if (file.name.toLowerCase().endsWith('.csv')) {
+                products = this.parseCsvProducts(text);
+            } else {
+                const data = JSON.parse(text);
+                if (!data.version || !data.products || !Array.isArray(data.products)) {
+                    throw new Error('Formato de archivo inválido. Debe contener "version" y "products"');
+                }
+                products = data.products;
+            }
+
+            this.showImportPreview(products.filter(product => product?.name));
+
+        } catch (error) {
+            this.showToast('❌ Error importando: ' + error.message);
+            console.error('Error en importación:', error);
+        }
+    }
+
+    // Finds or creates the labels of one imported product (format: [{name, color}] or just [name])
+    async getImportLabelIds(entries, defaultColor) {
+        const labelIds = [];
+        let labelsCreated = 0;
+
+        for (const entry of entries) {
+            const name = typeof entry === 'string' ? entry : entry.name;
+            const color = typeof entry === 'object' ? entry.color : defaultColor;
 
-            let deleted = 0;
-            let failed = 0;
+            let label = this.labels.find(l => l.name === name);
 
-            // Delete all cards
-            for (const card of this.cards) {
+            // Create label if it doesn't exist
+            if (!label) {
                 try {
-                    await this.trelloFetch(`/cards/${card.id}`, {
-                        method: 'DELETE'
-                    });
-                    deleted++;
+                    label = await this.createLabel(this.selectedBoardId, name, color || defaultColor);
+                    this.labels.push(label);
+                    labelsCreated++;
                 } catch (error) {
-                    console.error(`Error borrando ${card.name}:`, error);
-                    failed++;
+                    if (this.isNetworkError(error)) throw error;
+                    console.warn(`No se pudo crear label "${name}":`, error);
+                    continue;
                 }
             }
 
-            // Clear local cache
-            this.cards = [];
-            this.saveBoardCache();
+            if (label) labelIds.push(label.id);
+        }
 
-            let message = `✅ ${deleted} productos eliminados`;
-            if (failed > 0) {
-                message += ` | ❌ ${failed} fallaron`;
-            }
+        return { labelIds, labelsCreated };
+    }
 
-            this.showToast(message);
+    // `data` is { product, strategy, cardId } from the import preview; jobs
+    // saved before the preview existed hold the bare product
+    async importProductItem(job, item) {
+        const data = item.data;
+        const { product, strategy, cardId } = data.product ? data : { product: data, strategy: 'create', cardId: null };
 
-            // Refresh view
-            if (this.currentView === 'stores') {
-                this.renderStoreCards();
-            } else if (this.currentView === 'detail') {
-                this.renderStoreDetail(this.currentStore);
-            } else if (this.currentView === 'shopping') {
-                this.renderShoppingMode();
+        if (strategy === 'overwrite' || strategy === 'merge') {
+            return this.updateImportedCard(cardId, product, strategy);
+        }
+
+        // Keeps a resumed import from creating the card it was working on
+        // when the tab closed twice. Copies are meant to be duplicates, so
+        // they go by the card id saved right after creating it instead
+        if (data.createdCardId) {
+            return { status: 'done', message: '' };
+        }
+        if (strategy !== 'copy' && this.findImportMatch(product.name)) {
+            return { status: 'skipped', message: 'Duplicado' };
+        }
+
+        const stores = await this.getImportLabelIds(product.stores || [], 'orange');
+        const locations = await this.getImportLabelIds(product.locations || [], 'green');
+        const labelsCreated = stores.labelsCreated + locations.labelsCreated;
+
+        // Create card in appropriate list
+        const targetList = product.inList ? this.activeList : this.allProductsList;
+        const desc = this.buildCardDesc(product.desc || '', {
+            quantity: product.inList && product.quantity > 0 ? product.quantity : null,
+            unit: product.inList && QUANTITY_UNITS.includes(product.unit) ? product.unit : null
+        });
+        const card = await this.createCard(targetList.id, product.name, [...stores.labelIds, ...locations.labelIds], desc);
+        data.createdCardId = card.id;
+        await this.saveBulkJob(job);
+
+        // Add images if available (URLs from export)
+        if (product.images && Array.isArray(product.images) && product.images.length > 0) {
+            // Note: Can't directly upload from URLs to Trello without downloading first
+            // This is a limitation - images would need to be handled separately
+            console.log(`Producto "${product.name}" tiene ${product.images.length} imagen(es) - las imágenes deben añadirse manualmente`);
+        }
+
+        this.cards.push(card);
+
+        return {
+            status: 'done',
+            message: labelsCreated > 0 ? `${labelsCreated} label${labelsCreated === 1 ? '' : 's'} creado${labelsCreated === 1 ? '' : 's'}` : ''
+        };
+    }
+
+    async updateImportedCard(cardId, product, strategy) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) return { status: 'skipped', message: 'Ya no existe' };
+
+        const stores = await this.getImportLabelIds(product.stores || [], 'orange');
+        const locations = await this.getImportLabelIds(product.locations || [], 'green');
+        const importedLabelIds = [...stores.labelIds, ...locations.labelIds];
+
+        const fields = {};
+        let labelIds;
+        if (strategy === 'overwrite') {
+            labelIds = importedLabelIds;
+            fields.desc = this.buildCardDesc(product.desc || '', this.getCardMeta(card));
+            fields.idList = (product.inList ? this.activeList : this.allProductsList).id;
+        } else {
+            // Merge: labels from both, notes only where the card has none
+            labelIds = [...new Set([...card.idLabels, ...importedLabelIds])];
+            if (!this.getCardNotes(card) && product.desc) {
+                fields.desc = this.buildCardDesc(product.desc, this.getCardMeta(card));
             }
+        }
 
-        } catch (error) {
-            this.showToast('❌ Error: ' + error.message);
-            console.error('Error en deleteAllProducts:', error);
+        Object.keys(fields).forEach(field => {
+            if (fields[field] === card[field]) delete fields[field];
+        });
+        if (Object.keys(fields).length > 0) {
+            await this.updateCard(card.id, fields);
+        }
+        if (!this.isSameFieldValue('idLabels', labelIds, card.idLabels)) {
+            await this.updateCardLabels(card.id, labelIds);
         }
+        Object.assign(card, fields, { idLabels: labelIds });
+
+        return { status: 'done', message: IMPORT_STRATEGIES[strategy] };
     }
 
-    // ==================== Delete Single Product ====================
+    // ==================== Import Preview ====================
 
-    confirmDeleteProduct(cardId) {
-        const card = this.cards.find(c => c.id === cardId);
-        if (!card) {
-            this.showToast('Producto no encontrado');
+    // Nothing is written until the preview is confirmed: every product is
+    // classified against the board (new, identical or changed, with the
+    // changed fields) and gets a strategy, for the whole run or per row.
+
+    findImportMatch(name) {
+        const key = this.normalizeString(String(name || '').trim());
+        return this.cards.find(c => this.normalizeString(c.name.trim()) === key) || null;
+    }
+
+    classifyImportProduct(product) {
+        const card = this.findImportMatch(product.name);
+        if (!card) return { kind: 'new', card: null, changes: [] };
+
+        const storeNames = this.getStoreNames();
+        const cardLabels = this.labels.filter(l => card.idLabels.includes(l.id));
+        const labelNames = entries => (entries || []).map(e => (typeof e === 'string' ? e : e.name)).filter(Boolean);
+        const sameNames = (a, b) => [...a].sort().join('|') === [...b].sort().join('|');
+        const yesNo = value => (value ? 'Sí' : 'No');
+
+        const current = {
+            desc: this.getCardNotes(card).trim(),
+            stores: cardLabels.filter(l => storeNames.includes(l.name)).map(l => l.name),
+            locations: cardLabels.filter(l => !storeNames.includes(l.name)).map(l => l.name),
+            inList: card.idList === this.activeList?.id
+        };
+        const incoming = {
+            desc: (product.desc || '').trim(),
+            stores: labelNames(product.stores),
+            locations: labelNames(product.locations),
+            inList: !!product.inList
+        };
+
+        const changes = [];
+        if (current.desc !== incoming.desc) {
+            changes.push({ field: 'Notas', current: current.desc, incoming: incoming.desc });
+        }
+        if (!sameNames(current.stores, incoming.stores)) {
+            changes.push({ field: 'Tiendas', current: current.stores.join(', '), incoming: incoming.stores.join(', ') });
+        }
+        if (!sameNames(current.locations, incoming.locations)) {
+            changes.push({ field: 'Ubicaciones', current: current.locations.join(', '), incoming: incoming.locations.join(', ') });
+        }
+        if (current.inList !== incoming.inList) {
+            changes.push({ field: 'En lista', current: yesNo(current.inList), incoming: yesNo(incoming.inList) });
+        }
+
+        return { kind: changes.length > 0 ? 'changed' : 'identical', card, changes };
+    }
+
+    renderImportPreviewRow(row, index) {
+        const badge = { new: 'Nuevo', identical: 'Igual', changed: 'Cambia' }[row.kind];
+        const options = row.kind === 'new'
+            ? { create: 'Crear', skip: 'Omitir' }
+            : IMPORT_STRATEGIES;
+
+        return `
+            <div class="import-row">
+                <div class="import-row-header">
+                    <span class="import-row-name">${this.escapeHtml(row.product.name)}</span>
+                    <span class="import-badge ${row.kind}">${badge}</span>
+                </div>
+                ${row.changes.length > 0 ? `
+                    <div class="import-diff">
+                        ${row.changes.map(change => `
+                            <div class="import-diff-line">
+                                <strong>${change.field}:</strong>
+                                <del>${this.escapeHtml(change.current || '—')}</del>
+                                → <ins>${this.escapeHtml(change.incoming || '—')}</ins>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <select class="config-input import-strategy" data-row="${index}">
+                    ${Object.entries(options).map(([value, label]) => `
+                        <option value="${value}" ${row.strategy === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    showImportPreview(products) {
+        if (products.length === 0) {
+            this.showToast('El archivo no tiene productos');
             return;
         }
 
+        const rows = products.map(product => {
+            const { kind, card, changes } = this.classifyImportProduct(product);
+            return { product, kind, card, changes, strategy: kind === 'new' ? 'create' : 'skip' };
+        });
+        const counts = { new: 0, identical: 0, changed: 0 };
+        rows.forEach(row => counts[row.kind]++);
+
+        const existingModal = document.getElementById('import-preview-modal');
+        if (existingModal) existingModal.remove();
+
         const modal = document.createElement('div');
-        modal.id = 'delete-product-modal';
+        modal.id = 'import-preview-modal';
         modal.className = 'modal-overlay';
-        modal.style.zIndex = '400'; // Above product detail modal (z-index: 300)
         modal.innerHTML = `
-            <div class="modal" style="max-width: 400px;">
+            <div class="modal" style="max-width: 600px;">
                 <div class="modal-header">
-                    <h3 class="modal-title">Confirmar eliminación</h3>
-                    <button class="modal-close" id="delete-product-close">×</button>
+                    <h3 class="modal-title">Revisar importación</h3>
+                    <button class="modal-close" id="import-preview-close">×</button>
                 </div>
-
                 <div class="modal-section">
-                    <p style="color: var(--text-secondary); font-size: 15px; line-height: 1.6; margin-bottom: 16px;">
-                        ¿Estás seguro de que quieres eliminar <strong style="color: var(--text);">"${card.name}"</strong>?
-                    </p>
-                    <p style="color: var(--text-muted); font-size: 14px; line-height: 1.6; margin-bottom: 20px;">
-                        Esta acción no se puede deshacer.
+                    <p class="stats-muted" style="white-space: normal; margin-bottom: 12px;">
+                        ${counts.new} nuevos · ${counts.changed} con cambios · ${counts.identical} iguales. No se guarda nada hasta confirmar.
                     </p>
-
-                    <div style="display: flex; gap: 12px; margin-top: 24px;">
-                        <button class="btn btn-secondary" id="cancel-delete-product" style="flex: 1;">Cancelar</button>
-                        <button class="btn" id="confirm-delete-product" style="flex: 1; background: var(--danger);">Eliminar</button>
-                    </div>
+                    ${counts.changed + counts.identical > 0 ? `
+                        <label class="trash-purge">
+                            Productos que ya existen
+                            <select id="import-strategy-all" class="config-input" style="width: auto;">
+                                ${Object.entries(IMPORT_STRATEGIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                </div>
+                <div class="modal-section import-preview-list" id="import-preview-list"></div>
+                <div class="modal-section" style="display: flex; gap: 12px;">
+                    <button class="btn btn-secondary" id="import-preview-cancel" style="flex: 1;">Cancelar</button>
+                    <button class="btn btn-primary" id="import-preview-confirm" style="flex: 1;">Importar</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(modal);
+        document.body.style.overflow = 'hidden';
 
-        document.getElementById('delete-product-close').addEventListener('click', () => modal.remove());
-        document.getElementById('cancel-delete-product').addEventListener('click', () => modal.remove());
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) modal.remove();
-        });
-
-        document.getElementById('confirm-delete-product').addEventListener('click', async () => {
-            const confirmBtn = document.getElementById('confirm-delete-product');
-            confirmBtn.disabled = true;
-            confirmBtn.textContent = 'Eliminando...';
-            await this.deleteProduct(cardId);
+        const closeModal = () => {
             modal.remove();
-        });
-    }
-
-    async deleteProduct(cardId) {
-        try {
-            const card = this.cards.find(c => c.id === cardId);
-            if (!card) {
-                this.showToast('❌ Producto no encontrado');
-                return;
-            }
-
-            const productName = card.name;
+            document.body.style.overflow = '';
+        };
 
-            // Delete card from Trello
-            await this.trelloFetch(`/cards/${cardId}`, {
-                method: 'DELETE'
+        const list = document.getElementById('import-preview-list');
+        const confirmBtn = document.getElementById('import-preview-confirm');
+        const render = () => {
+            list.innerHTML = rows.map((row, index) => this.renderImportPreviewRow(row, index)).join('');
+            list.querySelectorAll('.import-strategy').forEach(select => {
+                select.addEventListener('change', () => {
+                    rows[Number(select.dataset.row)].strategy = select.value;
+                    updateConfirm();
+                });
             });
+            updateConfirm();
+        };
+        const updateConfirm = () => {
+            const count = rows.filter(row => row.strategy !== 'skip').length;
+            confirmBtn.disabled = count === 0;
+            confirmBtn.textContent = `Importar ${count}`;
+        };
 
-            // Remove from local cache
-            this.cards = this.cards.filter(c => c.id !== cardId);
-            this.saveBoardCache();
+        document.getElementById('import-strategy-all')?.addEventListener('change', e => {
+            rows.filter(row => row.kind !== 'new').forEach(row => {
+                row.strategy = e.target.value;
+            });
+            render();
+        });
 
-            this.showToast(`✅ "${productName}" eliminado`);
+        document.getElementById('import-preview-close').addEventListener('click', closeModal);
+        document.getElementById('import-preview-cancel').addEventListener('click', closeModal);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closeModal();
+        });
 
-            // Close detail modal if open
-            const detailModal = document.getElementById('product-detail-modal');
-            if (detailModal) {
-                detailModal.classList.add('hidden');
-            }
+        confirmBtn.addEventListener('click', async () => {
+            const items = rows
+                .filter(row => row.strategy !== 'skip')
+                .map(row => ({
+                    label: row.product.name,
+                    data: { product: row.product, strategy: row.strategy, cardId: row.card?.id || null }
+                }));
 
-            // Refresh view
-            if (this.currentView === 'stores') {
-                this.renderStoreCards();
-            } else if (this.currentView === 'detail') {
-                this.renderStoreDetail(this.currentStore);
-            } else if (this.currentView === 'shopping') {
-                this.renderShoppingMode();
-            }
+            closeModal();
+            await this.runBulkJob(this.createBulkJob('import', items));
+        });
 
-        } catch (error) {
-            this.showToast('❌ Error eliminando: ' + error.message);
-            console.error('Error en deleteProduct:', error);
-        }
+        render();
     }
 
-    // ==================== Add Product Modal ====================
+    // ==================== Import From Other Apps ====================
 
-    openAddModal() {
-        this.selectedLabels.clear();
-        document.getElementById('product-name').value = '';
-        document.getElementById('product-description').value = '';
-        this.renderDuplicateSuggestions('');
-        document.getElementById('add-modal').classList.remove('hidden');
-        document.body.style.overflow = 'hidden';
+    // Exports of other shopping-list apps and plain notes are turned into the
+    // same products importProducts reads, so they go through the same preview
+    // and label matching. Store and location names are matched to the
+    // configured ones first (accents and case ignored).
 
-        // Reset image upload area
-        const uploadArea = document.getElementById('image-upload-area');
-        const imageInput = document.getElementById('product-image');
-        const preview = document.getElementById('image-preview');
+    getForeignLabelName(kind, name) {
+        const text = String(name || '').trim();
+        return this.findQuickAddLabel(kind, text)?.name || text;
+    }
 
-        imageInput.value = '';
-        preview.innerHTML = '';
-        preview.classList.remove('has-image');
-        uploadArea.classList.remove('has-image');
+    buildForeignProduct({ name, notes = '', store = null, location = null, quantity = null, checked = false }) {
+        const parsed = quantity ? this.parseQuickAdd(String(quantity)).quantity : null;
 
-        // Render label pickers
-        this.renderLabelPickers();
+        return {
+            name: String(name || '').trim(),
+            desc: String(notes || '').trim(),
+            stores: store ? [this.getForeignLabelName('stores', store)] : [],
+            locations: location ? [this.getForeignLabelName('locations', location)] : [],
+            inList: !checked,
+            ...(parsed ? { quantity: parsed.quantity, unit: parsed.unit } : {})
+        };
+    }
 
-        // Setup image upload handlers
-        this.setupImageUpload();
-        this.setupDuplicateSuggestions();
+    // One item per line. A line ending in ":" or starting with "#" is a
+    // heading: the name of a location when it is a configured one, of a store
+    // otherwise. Ticked items (☑, ✓, [x], ~~struck~~) were already bought.
+    parseForeignText(text, store = null) {
+        const products = [];
+        let location = null;
 
-        // Focus input
-        setTimeout(() => document.getElementById('product-name').focus(), 100);
-    }
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            const heading = line.match(/^#+\s+(.+?)\s*#*$/)?.[1] || line.match(/^(.+?)\s*:$/)?.[1];
 
-    setupDuplicateSuggestions() {
-        const nameInput = document.getElementById('product-name');
-        if (!nameInput) return;
+            if (heading) {
+                // Leading emoji, like the store icons of a shared list
+                const name = heading.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+                if (this.findQuickAddLabel('locations', name)) {
+                    location = name;
+                } else {
+                    store = name;
+                    location = null;
+                }
+                return;
+            }
 
-        nameInput.oninput = () => {
-            this.renderDuplicateSuggestions(nameInput.value);
-        };
-    }
+            const item = line.match(/^(?:[-*•·]\s*|\d+[.)]\s*)?(\[[ xX]?\]|[☐☑✓✔✅])?\s*(.*)$/);
+            let itemText = item[2];
+            const struck = itemText.match(/^~~(.+)~~$/);
+            if (struck) itemText = struck[1];
 
-    renderDuplicateSuggestions(query) {
-        const container = document.getElementById('duplicate-suggestions');
-        if (!container) return;
+            // "Leche — 2 L", "Leche (2 L)" and "Leche · notas", as in a shared list
+            const [main, ...notes] = itemText.split(' · ');
+            const extra = main.match(/^(.+?)\s*(?:[—–]\s*(.+)|\((.+)\))$/);
+            const extraParsed = extra && this.parseQuickAdd(extra[2] || extra[3]);
+            const extraIsQuantity = !!extraParsed?.quantity && !extraParsed.name;
 
-        const suggestions = this.getSimilarProducts(query);
-        if (suggestions.length === 0) {
-            container.classList.add('hidden');
-            container.innerHTML = '';
-            return;
-        }
+            const parsed = this.parseQuickAdd(extraIsQuantity ? extra[1] : main);
+            if (!parsed.name) return;
+            if (extraIsQuantity) parsed.quantity = extraParsed.quantity;
 
-        container.classList.remove('hidden');
-        container.innerHTML = `
-            <div class="duplicate-suggestions-title">Productos similares</div>
-            ${suggestions.map(({ card }) => {
-                const isInList = card.idList === this.activeList?.id;
-                const status = isInList ? 'Ya en lista' : 'Añadir a lista';
-                return `
-                    <button
-                        type="button"
-                        class="duplicate-suggestion ${isInList ? 'in-list' : ''}"
-                        data-card-id="${this.escapeHtml(card.id)}"
-                        ${isInList ? 'disabled aria-disabled="true"' : ''}
-                    >
-                        <span class="duplicate-suggestion-main">
-                            <span class="duplicate-suggestion-check" aria-hidden="true">${isInList ? '✓' : ''}</span>
-                            <span class="duplicate-suggestion-name">${this.escapeHtml(card.name)}</span>
-                        </span>
-                        <span class="duplicate-suggestion-meta">${status}</span>
-                    </button>
-                `;
-            }).join('')}
-        `;
+            const checked = !!struck || /^\[[xX]\]$|^[☑✓✔✅]$/.test(item[1] || '');
+            const product = this.buildForeignProduct({ name: parsed.name, notes: notes.join(' · '), store, location, checked });
+            parsed.stores.forEach(label => product.stores.includes(label.name) || product.stores.push(label.name));
+            parsed.locations.forEach(label => product.locations.includes(label.name) || product.locations.push(label.name));
+            if (parsed.quantity) Object.assign(product, parsed.quantity);
 
-        container.querySelectorAll('.duplicate-suggestion').forEach(button => {
-            button.addEventListener('click', async () => {
-                await this.addExistingProductToActiveList(button.dataset.cardId);
-            });
+            products.push(product);
         });
+
+        return products;
     }
 
-    async addExistingProductToActiveList(cardId) {
-        const card = this.cards.find(c => c.id === cardId);
-        if (!card || !this.activeList) return;
+    // JSON exports: Google Keep notes ({ title, listContent } or textContent),
+    // Bring! lists ({ purchase, recently }), lists with an items array and
+    // plain arrays of names or items. A list title is used as the store only
+    // when it is a configured store (it is often just "Compra").
+    parseForeignJson(data, store = null) {
+        if (Array.isArray(data)) {
+            return data.flatMap(entry => (typeof entry === 'string'
+                ? [this.buildForeignProduct({ name: entry, store })]
+                : this.parseForeignJson(entry, store)));
+        }
+        if (!data || typeof data !== 'object') return [];
 
-        if (card.idList === this.activeList.id) {
-            this.showToast(`"${card.name}" ya esta en la lista`);
-            return;
+        const title = data.title || data.name;
+        const listStore = (title && this.findQuickAddLabel('stores', title)?.name) || store;
+
+        if (Array.isArray(data.listContent)) {
+            return data.listContent.map(item => this.buildForeignProduct({ name: item.text, checked: item.isChecked, store: listStore }));
+        }
+        if (typeof data.textContent === 'string') {
+            return this.parseForeignText(data.textContent, listStore);
+        }
+        if (Array.isArray(data.purchase) || Array.isArray(data.recently)) {
+            return [
+                ...(data.purchase || []).map(item => this.buildForeignProduct({ name: item.name, notes: item.specification, store: listStore })),
+                ...(data.recently || []).map(item => this.buildForeignProduct({ name: item.name, notes: item.specification, store: listStore, checked: true }))
+            ];
         }
-        if (!(await this.ensureCurrentUserName())) return;
 
-        const previousListId = card.idList;
-        const historyEntry = this.buildHistoryEntry(card, 'added');
-        card.idList = this.activeList.id;
-        this.saveBoardCache();
+        const items = data.items || data.products || data.entries;
+        if (Array.isArray(items)) return this.parseForeignJson(items, listStore);
+
+        const name = data.name || data.title || data.text || data.item;
+        if (typeof name !== 'string') return [];
+
+        return [this.buildForeignProduct({
+            name,
+            notes: data.notes || data.note || data.description || data.specification || '',
+            store: data.store || store,
+            location: data.category || data.aisle || null,
+            quantity: data.quantity || data.amount || null,
+            checked: !!(data.checked || data.isChecked || data.done || data.completed || data.purchased)
+        })];
+    }
+
+    // The format comes from the file extension; pasted text is JSON when it parses as JSON
+    parseForeignImport(text, fileName = '') {
+        const extension = fileName.toLowerCase().split('.').pop();
+        if (extension === 'csv') {
+            return this.parseCsvProducts(text, { inListByDefault: true }).map(product => ({
+                ...product,
+                stores: product.stores.map(name => this.getForeignLabelName('stores', name)),
+                locations: product.locations.map(name => this.getForeignLabelName('locations', name))
+            }));
+        }
+        if (extension === 'json') return this.parseForeignJson(JSON.parse(text));
 
-        this.closeAddModal();
-        this.resetAddModal();
-        requestAnimationFrame(() => this.renderCurrentView());
+        if (/^\s*[[{]/.test(text)) {
+            try {
+                return this.parseForeignJson(JSON.parse(text));
+            } catch (error) {
+                // Not JSON after all: "[ ] item" checklists start with a bracket too
+            }
+        }
+        return this.parseForeignText(text);
+    }
 
+    importFromOtherApp(text, fileName = '') {
+        let products;
         try {
-            await this.moveCard(cardId, this.activeList.id);
-            this.removePendingMove(cardId);
-            await this.recordOrQueueCardHistory(historyEntry);
-            this.saveBoardCache();
-            this.showToast(`"${card.name}" añadido a la lista`);
+            products = this.parseForeignImport(text, fileName).filter(product => product.name);
         } catch (error) {
-            if (this.isNetworkError(error)) {
-                this.enqueueCardMove(cardId, this.activeList.id, historyEntry);
-                this.showToast(`"${card.name}" añadido offline. Se sincronizara al volver la conexion.`);
-                return;
-            }
+            this.showToast('❌ Error importando: ' + error.message);
+            console.error('Error en importación:', error);
+            return false;
+        }
 
-            card.idList = previousListId;
-            this.saveBoardCache();
-            requestAnimationFrame(() => this.renderCurrentView());
-            this.showToast('Error: ' + error.message);
+        if (products.length === 0) {
+            this.showToast('No se encontró ningún producto');
+            return false;
         }
+
+        this.showImportPreview(products);
+        return true;
     }
 
+    showForeignImportModal() {
+        const existingModal = document.getElementById('foreign-import-modal');
+        if (existingModal) existingModal.remove();
 
+        const modal = document.createElement('div');
+        modal.id = 'foreign-import-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <button class="back-button" id="back-to-import-export-foreign">← Atrás</button>
+                    <h3 class="modal-title">Importar de otra app</h3>
+                    <button class="modal-close" id="foreign-import-close">×</button>
+                </div>
 
-    setupImageUpload() {
-        const uploadArea = document.getElementById('image-upload-area');
-        const imageInput = document.getElementById('product-image');
-        const preview = document.getElementById('image-preview');
+                <div class="modal-section">
+                    <ul style="color: var(--text-secondary); font-size: 13px; margin: 0 0 12px 20px; line-height: 1.6;">
+                        <li><strong>Texto o notas</strong>: un producto por línea; las líneas que terminan en ":" o empiezan por "#" son tiendas</li>
+                        <li><strong>CSV</strong>: columnas como item, quantity, category, notes o checked</li>
+                        <li><strong>JSON</strong>: notas de Google Keep (Takeout), listas de Bring! o listas de nombres</li>
+                        <li>Los productos marcados como comprados van a "Todos los Productos"</li>
+                    </ul>
+                    <textarea id="foreign-import-text" class="input" rows="8" placeholder="Mercadona:&#10;- 2 l leche&#10;- pan&#10;&#10;Fruteria:&#10;- 1 kg manzanas"></textarea>
+                    <input type="file" id="foreign-import-file" accept=".txt,.md,.csv,.json" hidden>
+                    <button class="btn btn-primary" id="foreign-import-preview" style="margin-top: 12px;">Ver vista previa</button>
+                    <button class="btn btn-secondary" id="foreign-import-file-btn" style="margin-top: 8px;">📂 Elegir archivo (.txt, .csv, .json)</button>
+                </div>
+            </div>
+        `;
 
-        // Click to open file picker
-        uploadArea.onclick = (e) => {
-            if (e.target.classList.contains('image-preview-remove')) return;
-            imageInput.click();
-        };
+        document.body.appendChild(modal);
 
-        // Handle file selection
-        imageInput.onchange = (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.showImagePreview(file);
-            }
-        };
-    }
+        const closeModal = () => modal.remove();
 
-    showImagePreview(file) {
-        const uploadArea = document.getElementById('image-upload-area');
-        const preview = document.getElementById('image-preview');
+        document.getElementById('foreign-import-close').addEventListener('click', closeModal);
+        document.getElementById('back-to-import-export-foreign').addEventListener('click', () => {
+            closeModal();
+            this.showImportExportModal();
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            preview.innerHTML = `
-                <img src="${e.target.result}" alt="Preview">
-                <button type="button" class="image-preview-remove" onclick="event.stopPropagation(); app.removeImagePreview()">✕</button>
-            `;
-            preview.classList.add('has-image');
-            uploadArea.classList.add('has-image');
-        };
-        reader.readAsDataURL(file);
-    }
+        document.getElementById('foreign-import-preview').addEventListener('click', () => {
+            const text = document.getElementById('foreign-import-text').value;
+            if (!text.trim()) return;
+            if (this.importFromOtherApp(text)) closeModal();
+        });
 
-    removeImagePreview() {
-        const uploadArea = document.getElementById('image-upload-area');
-        const imageInput = document.getElementById('product-image');
-        const preview = document.getElementById('image-preview');
+        document.getElementById('foreign-import-file-btn').addEventListener('click', () => {
+            document.getElementById('foreign-import-file').click();
+        });
 
-        imageInput.value = '';
-        preview.innerHTML = '';
-        preview.classList.remove('has-image');
-        uploadArea.classList.remove('has-image');
-    }
+        document.getElementById('foreign-import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
 
-    closeAddModal() {
-        document.getElementById('add-modal').classList.add('hidden');
-        document.body.style.overflow = '';
+            e.target.value = '';
+            if (this.importFromOtherApp(await file.text(), file.name)) closeModal();
+        });
     }
 
-    renderLabelPickers() {
-        const locationPicker = document.getElementById('location-picker');
-        const storePicker = document.getElementById('store-picker');
+    // ==================== Full Backup ====================
 
-        const storeNames = this.getStoreNames();
-        const storeLabels = this.labels.filter(l => storeNames.includes(l.name));
-        const locationLabels = this.labels.filter(l => !storeNames.includes(l.name));
+    // One ZIP with everything needed to rebuild the board: backup.json (config,
+    // labels, products with their full description and history comments) and
+    // the original image files under images/. Archived cards the app still
+    // uses (recorded shopping trips and the Papelera) go in too, marked
+    // `archived`. A restore always goes into a new board, so it never mixes
+    // with the products already on this one.
 
-        locationPicker.innerHTML = locationLabels.map(label => `
-            <label class="label-option label-${label.color}">
-                <input type="checkbox" class="label-checkbox" value="${label.id}">
-                <span>${label.name}</span>
-            </label>
-        `).join('');
+    // Oldest first per card, with the date each entry was first recorded on
+    async getBackupHistory() {
+        const comments = await this.getAllBoardComments(this.selectedBoardId);
+        const history = {};
 
-        storePicker.innerHTML = storeLabels.map(label => `
-            <label class="label-option label-${label.color}">
-                <input type="checkbox" class="label-checkbox" value="${label.id}">
-                <span>${label.name}</span>
-            </label>
-        `).join('');
+        comments.forEach(action => {
+            const cardId = action.data?.card?.id;
+            const entry = this.parseHistoryComment(action);
+            if (!cardId || !entry) return;
 
-        // Simple change listeners on checkboxes
-        document.querySelectorAll('.label-checkbox').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                if (e.target.checked) {
-                    this.selectedLabels.add(e.target.value);
-                    e.target.closest('.label-option').classList.add('selected');
-                } else {
-                    this.selectedLabels.delete(e.target.value);
-                    e.target.closest('.label-option').classList.remove('selected');
-                }
-            });
+            (history[cardId] || (history[cardId] = [])).unshift(entry);
         });
+
+        return history;
     }
 
-    async createProduct() {
-        const name = document.getElementById('product-name').value.trim();
-        const descriptionInput = document.getElementById('product-description').value.trim();
-        const imageInput = document.getElementById('product-image');
-        const imageFile = imageInput.files[0];
-        const btn = document.getElementById('create-product-btn');
+    // The original file, not the preview the lists show
+    async getBackupImage(attachment) {
+        const blobUrl = await this.fetchImageWithOAuth(this.getAttachmentUrl({ ...attachment, previews: [] }));
+        if (!blobUrl) return null;
 
-        if (!name) {
-            this.showToast('Introduce un nombre para el producto');
-            return;
-        }
+        const response = await fetch(blobUrl);
+        return response.blob();
+    }
+
+    async buildBackupArchive(onProgress) {
+        const history = await this.getBackupHistory();
+        const archived = (await this.getArchivedCards(this.selectedBoardId)).filter(card => {
+            const meta = this.getCardMeta(card);
+            return meta.trip || meta.deletedAt;
+        });
+        const cards = [...this.cards, ...archived];
+        const exported = this.buildExportProducts(cards);
+        const files = [];
+        const products = [];
+        let missingImages = 0;
+
+        for (const [index, card] of cards.entries()) {
+            onProgress(index, cards.length);
+
+            const images = [];
+            const attachments = (card.attachments || []).filter(a => a.mimeType && a.mimeType.startsWith('image/'));
+            for (const attachment of attachments) {
+                let blob = null;
+                try {
+                    blob = await this.getBackupImage(attachment);
+                } catch (error) {
+                    console.warn(`No se pudo descargar una imagen de "${card.name}":`, error);
+                }
+                if (!blob) {
+                    missingImages++;
+                    continue;
+                }
+
+                const extension = (attachment.name || '').match(/\.\w+$/)?.[0] || '';
+                const file = `images/${card.id}/${attachment.id}${extension}`;
+                files.push({ name: file, data: blob });
+                images.push({
+                    file,
+                    name: attachment.name || `imagen${extension}`,
+                    mimeType: blob.type || attachment.mimeType,
+                    cover: attachment.id === card.idAttachmentCover
+                });
+            }
 
-        // Enforce at least one shopping list tag (store label)
-        const storeNames = this.getStoreNames();
-        const selectedStoreLabels = Array.from(this.selectedLabels).filter(labelId => {
-            const label = this.labels.find(l => l.id === labelId);
-            return label && storeNames.includes(label.name);
-        });
-        if (selectedStoreLabels.length === 0) {
-            this.showToast('Selecciona al menos una tienda');
-            return;
+            const recent = this.recentProducts.find(item => item.cardId === card.id);
+            products.push({
+                ...exported[index],
+                // Trip records point at the products they bought by card id
+                id: card.id,
+                desc: card.desc || '',
+                images,
+                history: history[card.id] || [],
+                ...(recent ? { recentAt: recent.timestamp } : {}),
+                ...(archived.includes(card) ? { archived: true } : {})
+            });
         }
 
-        btn.disabled = true;
-        btn.textContent = 'Creando...';
+        const backup = {
+            type: BACKUP_TYPE,
+            version: BACKUP_VERSION,
+            created: new Date().toISOString(),
+            boardName: this.board?.name || '',
+            boardMeta: this.getBoardMeta(),
+            config: this.config,
+            labels: this.labels.filter(l => l.name).map(l => ({ id: l.id, name: l.name, color: l.color })),
+            products
+        };
 
-        try {
-            // Create card in "Todos los Productos" list
-            const card = await this.createCard(
-                this.allProductsList.id,
-                name,
-                Array.from(this.selectedLabels),
-                descriptionInput
-            );
+        const archive = await createZip([
+            { name: 'backup.json', data: JSON.stringify(backup, null, 2) },
+            ...files
+        ]);
 
-            // If image selected, upload it
-            if (imageFile) {
-                btn.textContent = 'Subiendo imagen...';
-                await this.addAttachmentToCard(card.id, imageFile);
+        return { archive, products: products.filter(product => !product.archived), images: files.length, missingImages };
+    }
 
-                // Reload card with attachments
-                const updatedCard = await this.trelloFetch(`/cards/${card.id}?fields=name,idList,idLabels,pos,desc&attachments=true&attachment_fields=url,name,mimeType`);
-                this.cards.push(updatedCard);
-            } else {
-                this.cards.push(card);
-            }
-            this.saveBoardCache();
+    renderBackupProgress(text, percent) {
+        let modal = document.getElementById('backup-progress-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'backup-progress-modal';
+            modal.className = 'modal-overlay';
+            modal.style.zIndex = '450';
+            document.body.appendChild(modal);
+        }
 
-            this.closeAddModal();
-            this.resetAddModal();
+        modal.innerHTML = `
+            <div class="modal" style="max-width: 480px;">
+                <div class="modal-header">
+                    <h3 class="modal-title">Copia de seguridad</h3>
+                </div>
+                <div class="modal-section">
+                    <div class="bulk-job-progress">
+                        <div class="bulk-job-progress-bar" style="width: ${percent}%;"></div>
+                    </div>
+                    <p class="bulk-job-status">${this.escapeHtml(text)}</p>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
 
-            // Re-render current view
-            if (this.currentView === 'stores') {
-                this.showStoreCards();
-            } else if (this.currentView === 'detail') {
-                this.renderStoreDetail(this.currentStore);
-            } else if (this.currentView === 'shopping') {
-                this.renderShoppingView(document.getElementById('shopping-mode-container'));
-            }
+    async createBackup() {
+        if (this.activeBulkJob) {
+            this.showToast('Ya hay una operación en curso');
+            return;
+        }
+
+        const modal = this.renderBackupProgress('Leyendo el historial...', 0);
 
-            this.showToast(`"${name}" creado`);
+        try {
+            const { archive, products, images, missingImages } = await this.buildBackupArchive((done, total) => {
+                this.renderBackupProgress(`Descargando imágenes: producto ${done + 1} de ${total}`, Math.round(done / total * 100));
+            });
 
+            this.downloadFile(archive, `shopping-list-backup-${this.getExportDate()}.zip`, 'application/zip');
+
+            const missing = missingImages > 0 ? ` (${missingImages} sin descargar)` : '';
+            this.showToast(`💾 Copia creada: ${products.length} productos, ${images} imágenes${missing}`);
         } catch (error) {
-            console.error('Error creando producto:', error);
-            this.showToast('Error: ' + error.message);
+            console.error('Error creando la copia de seguridad:', error);
+            this.showToast(this.isNetworkError(error)
+                ? 'La copia de seguridad necesita conexión con Trello'
+                : '❌ Error: ' + error.message);
         } finally {
-            // Always reset button state
-            btn.disabled = false;
-            btn.textContent = 'Crear Producto';
+            modal.remove();
         }
     }
 
-    resetAddModal() {
-        this.selectedLabels.clear();
-        document.getElementById('product-name').value = '';
-        document.getElementById('product-description').value = '';
-        this.renderDuplicateSuggestions('');
+    async readBackupArchive(file) {
+        const files = await readZip(file);
+        const json = files.get('backup.json');
+        if (!json) throw new Error('El archivo no es una copia de seguridad de la app');
 
-        // Reset image
-        const uploadArea = document.getElementById('image-upload-area');
-        const imageInput = document.getElementById('product-image');
-        const preview = document.getElementById('image-preview');
-        if (imageInput) imageInput.value = '';
-        if (preview) {
-            preview.innerHTML = '';
-            preview.classList.remove('has-image');
+        const backup = JSON.parse(await json.text());
+        if (backup.type !== BACKUP_TYPE || !Array.isArray(backup.products)) {
+            throw new Error('El archivo no es una copia de seguridad de la app');
+        }
+        if (backup.version > BACKUP_VERSION) {
+            throw new Error('La copia se creó con una versión más nueva de la app');
         }
-        if (uploadArea) uploadArea.classList.remove('has-image');
 
-        // Re-render label pickers to clear selections
-        this.renderLabelPickers();
+        return { backup, files };
     }
 
-    // ==================== Import/Export ====================
+    getRestoreArchiveKey(job) {
+        return `restore_archive_${job.id}`;
+    }
 
-    /**
-     * Export format:
-     * {
-     *   "version": 1,
-     *   "exported": "2024-01-15T10:30:00Z",
-     *   "products": [
-     *     {
-     *       "name": "Leche entera",
-     *       "desc": "Marca Central Lechera, 1L",
-     *       "stores": ["Mercadona", "Caprabo"],
-     *       "locations": ["Nevera"],
-     *       "inList": false
-     *     }
-     *   ]
-     * }
-     */
+    // The ZIP is kept in IndexedDB while the job runs, so a restore resumed
+    // after closing the tab can still upload the images
+    async getRestoreFiles(job) {
+        if (this.restoreArchive?.jobId !== job.id) {
+            const file = await this.storage.getValue(this.getRestoreArchiveKey(job));
+            if (!file) throw new Error('La copia de seguridad ya no está disponible');
+            this.restoreArchive = { jobId: job.id, files: (await this.readBackupArchive(file)).files };
+        }
+        return this.restoreArchive.files;
+    }
 
-    exportProducts() {
-        const storeNames = this.getStoreNames();
+    // Aisles and prices in the card meta point at store labels by id, and the new board has new ids
+    remapBackupLabelIds(desc, labelIds) {
+        const { notes, meta } = this.parseCardDesc(desc);
 
-        const products = this.cards.map(card => {
-            const cardLabels = this.labels.filter(l => card.idLabels.includes(l.id));
-            const stores = cardLabels.filter(l => storeNames.includes(l.name)).map(l => ({
-                name: l.name,
-                color: l.color
-            }));
-            const locations = cardLabels.filter(l => !storeNames.includes(l.name)).map(l => ({
-                name: l.name,
-                color: l.color
-            }));
+        if (meta.aisles) {
+            meta.aisles = Object.fromEntries(Object.entries(meta.aisles)
+                .filter(([labelId]) => labelIds[labelId])
+                .map(([labelId, aisle]) => [labelIds[labelId], aisle]));
+        }
+        if (meta.prices) {
+            meta.prices = meta.prices.map(price => ({ ...price, store: labelIds[price.store] || price.store }));
+        }
+        if (meta.trip) {
+            meta.trip = { ...meta.trip, storeId: labelIds[meta.trip.storeId] || meta.trip.storeId };
+        }
 
-            // Export image URLs if available
-            const images = [];
-            if (card.attachments && card.attachments.length > 0) {
-                images.push(...card.attachments
-                    .filter(att => att.mimeType && att.mimeType.startsWith('image/'))
-                    .map(att => att.url)
-                );
-            }
+        return this.buildCardDesc(notes, meta);
+    }
 
-            return {
-                name: card.name,
-                desc: card.desc || '',
-                stores,
-                locations,
-                images,
-                inList: card.idList === this.activeList?.id
-            };
-        });
+    // Trip records list products by card id: the ids of the cards this job
+    // has already created (archived cards come after the open ones)
+    remapBackupCardIds(desc, job) {
+        const { notes, meta } = this.parseCardDesc(desc);
+        if (!meta.trip) return desc;
 
-        const exportData = {
-            version: 2,
-            exported: new Date().toISOString(),
-            products,
-            // Export available stores and locations for reference
-            availableStores: this.config.stores.map(s => ({
-                name: s.name,
-                color: s.color,
-                icon: s.icon
-            })),
-            availableLocations: this.config.locations.map(l => ({
-                name: l.name,
-                color: l.color
-            }))
+        const cardIds = Object.fromEntries(job.items
+            .filter(item => item.data.product.id && item.data.progress.cardId)
+            .map(item => [item.data.product.id, item.data.progress.cardId]));
+        const remap = cardId => cardIds[cardId] || cardId;
+        const remapItems = items => (items || []).map(item => ({ ...item, cardId: remap(item.cardId) }));
+
+        meta.trip = {
+            ...meta.trip,
+            cart: (meta.trip.cart || []).map(remap),
+            items: remapItems(meta.trip.items),
+            left: remapItems(meta.trip.left)
         };
+        return this.buildCardDesc(notes, meta);
+    }
 
-        // Download as JSON file
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `shopping-list-export-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+    async restoreBackup(file) {
+        let backup;
+        try {
+            ({ backup } = await this.readBackupArchive(file));
+        } catch (error) {
+            this.showToast('❌ ' + error.message);
+            return;
+        }
 
-        this.showToast(`Exportados ${products.length} productos`);
-    }
+        if (this.activeBulkJob) {
+            this.showToast('Ya hay una operación en curso');
+            return;
+        }
+
+        const boardName = `${backup.boardName || 'Lista de Compras'} (restaurada)`;
+        const imageCount = backup.products.reduce((sum, product) => sum + (product.images || []).length, 0);
+        const archivedCount = backup.products.filter(product => product.archived).length;
+        const archivedText = archivedCount > 0 ? `, ${archivedCount} archivados (compras y papelera)` : '';
+        const created = this.formatHistoryDate(backup.created);
+        if (!confirm(`Se creará el tablero "${boardName}" con ${backup.products.length - archivedCount} productos${archivedText}, ${imageCount} imágenes y su historial (copia del ${created}).\n\nLa configuración de tiendas y ubicaciones se sustituirá por la de la copia. ¿Continuar?`)) {
+            return;
+        }
 
-    async importProducts(file) {
         try {
-            const text = await file.text();
-            const data = JSON.parse(text);
+            const board = await this.createBoard(boardName);
 
-            if (!data.version || !data.products || !Array.isArray(data.products)) {
-                throw new Error('Formato de archivo inválido. Debe contener "version" y "products"');
-            }
+            this.config = backup.config;
+            this.saveConfig(this.config);
+            this.recentProducts = [];
+            this.saveRecentProducts();
 
-            const storeNames = this.getStoreNames();
-            let imported = 0;
-            let skipped = 0;
-            let labelsCreated = 0;
+            // Lists and the configured labels are created by loadBoard
+            await this.selectBoard(board.id);
 
-            this.showToast('Importando productos...');
+            const labelIds = {};
+            for (const label of backup.labels || []) {
+                const { labelIds: [labelId] } = await this.getImportLabelIds([label], label.color);
+                if (labelId) labelIds[label.id] = labelId;
+            }
 
-            for (const product of data.products) {
-                // Check if product already exists (by name)
-                const exists = this.cards.some(c => c.name.toLowerCase() === product.name.toLowerCase());
-                if (exists) {
-                    skipped++;
-                    continue;
-                }
+            // Store aisles are keyed by store label id too
+            if (backup.boardMeta?.aisles) {
+                await this.saveBoardMeta({
+                    aisles: Object.fromEntries(Object.entries(backup.boardMeta.aisles)
+                        .filter(([labelId]) => labelIds[labelId])
+                        .map(([labelId, aisles]) => [labelIds[labelId], aisles]))
+                });
+            }
 
-                // Find or create label IDs for stores and locations
-                const labelIds = [];
-
-                // Handle stores (format: [{name, color}] or just [name])
-                const stores = product.stores || [];
-                for (const store of stores) {
-                    const storeName = typeof store === 'string' ? store : store.name;
-                    const storeColor = typeof store === 'object' ? store.color : 'orange';
-                    
-                    let label = this.labels.find(l => l.name === storeName);
-                    
-                    // Create label if it doesn't exist
-                    if (!label) {
-                        try {
-                            label = await this.createLabel(this.selectedBoardId, storeName, storeColor || 'orange');
-                            this.labels.push(label);
-                            labelsCreated++;
-                        } catch (error) {
-                            console.warn(`No se pudo crear label "${storeName}":`, error);
-                            continue;
-                        }
-                    }
-                    
-                    if (label) labelIds.push(label.id);
+            const job = this.createBulkJob('restore', backup.products.filter(product => product?.name).map(product => ({
+                label: product.name,
+                data: {
+                    product: { ...product, desc: this.remapBackupLabelIds(product.desc || '', labelIds) },
+                    progress: { cardId: null, images: 0, history: 0 }
                 }
+            })));
+            await this.storage.setValue(this.getRestoreArchiveKey(job), file);
 
-                // Handle locations (format: [{name, color}] or just [name])
-                const locations = product.locations || [];
-                for (const location of locations) {
-                    const locationName = typeof location === 'string' ? location : location.name;
-                    const locationColor = typeof location === 'object' ? location.color : 'green';
-                    
-                    let label = this.labels.find(l => l.name === locationName);
-                    
-                    // Create label if it doesn't exist
-                    if (!label) {
-                        try {
-                            label = await this.createLabel(this.selectedBoardId, locationName, locationColor || 'green');
-                            this.labels.push(label);
-                            labelsCreated++;
-                        } catch (error) {
-                            console.warn(`No se pudo crear label "${locationName}":`, error);
-                            continue;
-                        }
-                    }
-                    
-                    if (label) labelIds.push(label.id);
-                }
+            await this.runBulkJob(job);
+        } catch (error) {
+            console.error('Error restaurando la copia de seguridad:', error);
+            this.showToast(this.isNetworkError(error)
+                ? 'Restaurar una copia necesita conexión con Trello'
+                : '❌ Error: ' + error.message);
+        }
+    }
 
-                // Create card in appropriate list
-                const targetList = product.inList ? this.activeList : this.allProductsList;
-                const card = await this.createCard(targetList.id, product.name, labelIds, product.desc || '');
-                
-                // Add images if available (URLs from export)
-                if (product.images && Array.isArray(product.images) && product.images.length > 0) {
-                    // Note: Can't directly upload from URLs to Trello without downloading first
-                    // This is a limitation - images would need to be handled separately
-                    console.log(`Producto "${product.name}" tiene ${product.images.length} imagen(es) - las imágenes deben añadirse manualmente`);
-                }
-                
-                this.cards.push(card);
-                imported++;
+    // Progress is saved after every step, so a resumed job neither creates
+    // the card twice nor re-uploads its images or comments
+    async restoreBackupItem(job, item) {
+        const { product, progress } = item.data;
+        const images = product.images || [];
+        const history = product.history || [];
+
+        // Archived cards are not in this.cards: only their id is needed
+        let card = progress.cardId && (this.cards.find(c => c.id === progress.cardId) || { id: progress.cardId, attachments: [] });
+        if (!card) {
+            const stores = await this.getImportLabelIds(product.stores || [], 'orange');
+            const locations = await this.getImportLabelIds(product.locations || [], 'green');
+            const targetList = product.inList ? this.activeList : this.allProductsList;
+            const desc = product.archived ? this.remapBackupCardIds(product.desc, job) : product.desc;
+
+            card = await this.createCard(targetList.id, product.name, [...stores.labelIds, ...locations.labelIds], desc);
+            card.attachments = card.attachments || [];
+            if (!product.archived) this.cards.push(card);
+
+            if (product.recentAt) {
+                this.recentProducts = [...this.recentProducts, { cardId: card.id, timestamp: product.recentAt }]
+                    .sort((a, b) => b.timestamp - a.timestamp)
+                    .slice(0, 10);
+                this.saveRecentProductsSoon();
             }
 
-            let message = `✅ Importados: ${imported}`;
-            if (skipped > 0) message += ` | Omitidos (duplicados): ${skipped}`;
-            if (labelsCreated > 0) message += ` | Labels creados: ${labelsCreated}`;
-            
-            this.saveBoardCache();
-            this.showToast(message);
+            progress.cardId = card.id;
+            await this.saveBulkJob(job);
+        }
 
-            // Refresh view
-            if (this.currentView === 'stores') {
-                this.renderStoreCards();
-            } else if (this.currentView === 'detail') {
-                this.renderStoreDetail(this.currentStore);
+        const files = images.length > progress.images ? await this.getRestoreFiles(job) : null;
+        for (const image of images.slice(progress.images)) {
+            const blob = files.get(image.file);
+            if (blob) {
+                const attachment = await this.addAttachmentToCard(card.id, new File([blob], image.name, { type: image.mimeType }));
+                card.attachments.push(attachment);
+                if (image.cover) {
+                    await this.setCoverImage(card.id, attachment.id);
+                    card.idAttachmentCover = attachment.id;
+                }
             }
+            progress.images++;
+            await this.saveBulkJob(job);
+        }
 
-        } catch (error) {
-            this.showToast('❌ Error importando: ' + error.message);
-            console.error('Error en importación:', error);
+        // Re-posted oldest first with the original date, so the history,
+        // the statistics and replenishment read the same as before
+        for (const entry of history.slice(progress.history)) {
+            await this.addCardComment(card.id, `${HISTORY_COMMENT_PREFIX}${entry.text} @${new Date(entry.date).toISOString()}`);
+            progress.history++;
+            await this.saveBulkJob(job);
+        }
+
+        // Archived last, once its images and comments are in
+        if (product.archived && !progress.archived) {
+            await this.updateCard(card.id, { closed: true });
+            progress.archived = true;
+            await this.saveBulkJob(job);
         }
+
+        const parts = [];
+        if (images.length > 0) parts.push(`${images.length} imagen${images.length === 1 ? '' : 'es'}`);
+        if (history.length > 0) parts.push(`${history.length} entrada${history.length === 1 ? '' : 's'} de historial`);
+        return { status: 'done', message: parts.join(', ') };
     }
 
     showImportExportModal() {
@@ -3203,23 +7842,44 @@ class TrelloShoppingApp {
                         • Configuración de labels disponibles
                     </p>
                     <button class="btn btn-primary" id="export-btn">📥 Exportar JSON</button>
+                    <button class="btn btn-secondary" id="export-csv-btn" style="margin-top: 8px;">📊 Exportar CSV (Excel)</button>
                 </div>
 
                 <div class="modal-section" style="margin-top: 24px;">
                     <div class="modal-section-title">Importar productos</div>
                     <p style="color: var(--text-secondary); font-size: 14px; margin-bottom: 8px;">
-                        Importa productos desde un archivo JSON. Características:
+                        Importa productos desde un archivo JSON o CSV. Características:
                     </p>
                     <ul style="color: var(--text-secondary); font-size: 13px; margin: 0 0 12px 20px; line-height: 1.6;">
-                        <li>Los duplicados se omitirán automáticamente</li>
+                        <li>Antes de importar verás qué productos son nuevos, iguales o cambian, y qué hacer con cada uno</li>
                         <li>Los labels (tiendas/ubicaciones) se crearán si no existen</li>
                         <li>Soporta formato v1 y v2 (mejorado)</li>
-                        <li>Las imágenes deben añadirse manualmente</li>
+                        <li>CSV con columnas name, description, stores, locations, inList (tiendas y ubicaciones separadas por "|")</li>
+                        <li>Las imágenes no se importan: para conservarlas usa la copia de seguridad completa</li>
                     </ul>
-                    <input type="file" id="import-file" accept=".json" hidden>
-                    <button class="btn btn-secondary" id="import-btn">📤 Seleccionar archivo JSON</button>
+                    <input type="file" id="import-file" accept=".json,.csv" hidden>
+                    <button class="btn btn-secondary" id="import-btn">📤 Seleccionar archivo JSON o CSV</button>
                     <button class="btn btn-secondary" id="show-format-btn" style="margin-top: 8px;">📋 Ver formato</button>
                 </div>
+
+                <div class="modal-section" style="margin-top: 24px;">
+                    <div class="modal-section-title">Importar de otras apps</div>
+                    <p style="color: var(--text-secondary); font-size: 14px; margin-bottom: 12px;">
+                        Listas exportadas de otras apps de la compra (texto, CSV o JSON) o notas con un producto por línea.
+                    </p>
+                    <button class="btn btn-secondary" id="foreign-import-btn">📝 Importar de otra app o notas</button>
+                </div>
+
+                <div class="modal-section" style="margin-top: 24px;">
+                    <div class="modal-section-title">Copia de seguridad completa</div>
+                    <p style="color: var(--text-secondary); font-size: 14px; margin-bottom: 12px;">
+                        Un archivo ZIP con productos, imágenes, configuración e historial.
+                        Al restaurarla se crea un tablero nuevo con todo su contenido.
+                    </p>
+                    <input type="file" id="restore-file" accept=".zip" hidden>
+                    <button class="btn btn-primary" id="backup-btn">💾 Crear copia de seguridad</button>
+                    <button class="btn btn-secondary" id="restore-btn" style="margin-top: 8px;">♻️ Restaurar copia</button>
+                </div>
             </div>
         `;
 
@@ -3240,6 +7900,10 @@ class TrelloShoppingApp {
             this.exportProducts();
         });
 
+        document.getElementById('export-csv-btn').addEventListener('click', () => {
+            this.exportProductsCsv();
+        });
+
         document.getElementById('import-btn').addEventListener('click', () => {
             document.getElementById('import-file').click();
         });
@@ -3255,6 +7919,28 @@ class TrelloShoppingApp {
         document.getElementById('show-format-btn').addEventListener('click', () => {
             this.showFormatDocumentation();
         });
+
+        document.getElementById('foreign-import-btn').addEventListener('click', () => {
+            modal.remove();
+            this.showForeignImportModal();
+        });
+
+        document.getElementById('backup-btn').addEventListener('click', () => {
+            modal.remove();
+            this.createBackup();
+        });
+
+        document.getElementById('restore-btn').addEventListener('click', () => {
+            document.getElementById('restore-file').click();
+        });
+
+        document.getElementById('restore-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                modal.remove();
+                this.restoreBackup(file);
+            }
+        });
     }
 
     showFormatDocumentation() {
@@ -3320,6 +8006,19 @@ class TrelloShoppingApp {
                     </ul>
                 </div>
 
+                <div class="modal-section" style="margin-top: 16px;">
+                    <div class="modal-section-title">Archivo CSV</div>
+                    <pre style="background: var(--bg-secondary); padding: 16px; border-radius: var(--radius); overflow-x: auto; font-size: 12px; line-height: 1.6; color: var(--text);">
+name;description;stores;locations;inList
+Leche;Leche desnatada 1L;Mercadona|Caprabo;Nevera;sí
+Arroz;;Mercadona;Despensa;no</pre>
+                    <p style="color: var(--text-secondary); font-size: 13px; margin: 8px 0 0 0;">
+                        Columnas por cabecera (también en castellano: nombre, descripcion, tiendas, ubicaciones, enlista).
+                        Separador ";" o ","; varias tiendas o ubicaciones separadas por "|".
+                        También se reconocen las columnas de otras apps: item, quantity, category (ubicación), notes y checked.
+                    </p>
+                </div>
+
                 <div class="modal-section" style="margin-top: 16px;">
                     <div class="modal-section-title">Colores disponibles</div>
                     <p style="color: var(--text-secondary); font-size: 13px; margin: 0;">
@@ -3362,12 +8061,15 @@ class TrelloShoppingApp {
             <div class="config-item">
                 <span class="config-item-icon">${store.icon}</span>
                 <span class="config-item-name">${store.name}</span>
-                <button class="btn btn-danger btn-sm remove-store-btn" data-index="${idx}" title="Eliminar tienda">
-                    <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" fill="currentColor" viewBox="0 0 16 16">
-                        <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
-                        <path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
-                    </svg>
-                </button>
+                <div class="config-item-actions">
+                    <button class="btn btn-secondary btn-sm aisles-store-btn" data-index="${idx}" title="Pasillos">🧭</button>
+                    <button class="btn btn-danger btn-sm remove-store-btn" data-index="${idx}" title="Eliminar tienda">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" fill="currentColor" viewBox="0 0 16 16">
+                            <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+                            <path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/>
+                        </svg>
+                    </button>
+                </div>
             </div>
         `).join('');
 
@@ -3410,6 +8112,12 @@ class TrelloShoppingApp {
             if (e.target === modal) modal.remove();
         });
 
+        modal.querySelectorAll('.aisles-store-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.showStoreAislesModal(this.config.stores[parseInt(btn.dataset.index)].name);
+            });
+        });
+
         // Remove store buttons
         modal.querySelectorAll('.remove-store-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -3441,8 +8149,7 @@ class TrelloShoppingApp {
                 let label = this.labels.find(l => l.name === name);
                 if (!label) {
                     try {
-                        label = await this.createLabel(this.selectedBoardId, name, 'orange');
-                        this.labels.push(label);
+                        label = await this.createLabelOrQueue(name, 'orange');
                     } catch (error) {
                         this.showToast('No se pudo crear el tag en Trello: ' + error.message);
                         // No abortamos, solo informamos
@@ -3609,6 +8316,26 @@ class TrelloShoppingApp {
         toast.addEventListener('click', removeToast);
     }
 
+    showUndoToast(message, onUndo) {
+        document.querySelectorAll('.toast').forEach(t => t.remove());
+
+        const toast = document.createElement('div');
+        toast.className = 'toast undo-toast';
+        toast.innerHTML = `
+            <span>${this.escapeHtml(message)}</span>
+            <button class="undo-toast-btn">Deshacer</button>
+        `;
+        document.body.appendChild(toast);
+
+        const removeToast = () => {
+            clearTimeout(timeoutId);
+            toast.remove();
+        };
+        const timeoutId = setTimeout(removeToast, UNDO_WINDOW_MS);
+        toast.addEventListener('click', removeToast);
+        toast.querySelector('.undo-toast-btn').addEventListener('click', () => onUndo());
+    }
+
     loadTheme() {
         // Default to dark mode
         const savedTheme = localStorage.getItem('theme') || 'dark';
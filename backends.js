@@ -0,0 +1,642 @@
+/**
+ * Data backends for the shopping list
+ *
+ * The app reads and writes through a single backend object. Both
+ * implementations speak Trello's shapes (boards, lists, labels, cards with
+ * idList/idLabels/attachments, commentCard actions) so the app code is the same:
+ * - TrelloBackend: the Trello REST API, needs an API key and token
+ * - LocalBackend: everything stored in this browser's IndexedDB, no account
+ *
+ * Methods: getBoards, getBoard, getLists, getCards, getArchivedCards,
+ * getBoardActions, getLatestBoardActionId, getCardAttachments, getLabels,
+ * createBoard, updateBoard, createList, createLabel, createCard, moveCard, getCard, getCardState,
+ * updateCard, deleteCard, deleteCardAttachment, addCardComment,
+ * deleteCardComment, getCardActions, getBoardComments, updateCardLabels,
+ * addAttachmentToCard, setCoverImage
+ *
+ * `isRemote` is false when there is no server behind the backend: the app then
+ * skips the offline queues and the background refresh.
+ */
+
+// Board actions that can change cards, lists, labels or the board itself;
+// anything else (comments, checklists, members...) is ignored by the delta refresh
+const BOARD_DELTA_ACTION_TYPES = [
+    'createCard', 'copyCard', 'updateCard', 'deleteCard',
+    'moveCardToBoard', 'moveCardFromBoard', 'convertToCardFromCheckItem',
+    'addLabelToCard', 'removeLabelFromCard',
+    'addAttachmentToCard', 'deleteAttachmentFromCard',
+    'createList', 'updateList', 'moveListToBoard', 'moveListFromBoard',
+    'createLabel', 'updateLabel', 'deleteLabel',
+    'updateBoard'
+];
+
+// Trello allows 100 requests per 10 seconds per token (and 300 per API key)
+const TRELLO_RATE_LIMIT = { requestsPerInterval: 100, intervalMs: 10000 };
+
+// Starts queued requests in order, at most `concurrency` at a time, and no
+// faster than a token bucket refilled at requestsPerInterval / intervalMs.
+// A 429 can pause the whole queue, not just the request that got it.
+class RequestScheduler {
+    constructor({ concurrency = 4, requestsPerInterval, intervalMs }) {
+        this.concurrency = concurrency;
+        this.capacity = requestsPerInterval;
+        this.tokens = requestsPerInterval;
+        this.refillPerMs = requestsPerInterval / intervalMs;
+        this.lastRefillAt = Date.now();
+        this.pausedUntil = 0;
+        this.active = 0;
+        this.waiting = [];
+        this.timer = null;
+    }
+
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    pauseUntil(time) {
+        this.pausedUntil = Math.max(this.pausedUntil, time);
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefillAt) * this.refillPerMs);
+        this.lastRefillAt = now;
+    }
+
+    drain() {
+        if (this.timer) return;
+
+        while (this.waiting.length > 0 && this.active < this.concurrency) {
+            const now = Date.now();
+            this.refill(now);
+
+            const waitMs = Math.max(
+                this.pausedUntil - now,
+                this.tokens >= 1 ? 0 : (1 - this.tokens) / this.refillPerMs
+            );
+            if (waitMs > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.drain();
+                }, Math.ceil(waitMs));
+                return;
+            }
+
+            this.tokens -= 1;
+            this.active++;
+
+            const { task, resolve, reject } = this.waiting.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+}
+
+class TrelloBackend {
+    constructor({ apiKey, apiToken, onUnauthorized = () => {} }) {
+        this.apiKey = apiKey;
+        this.apiToken = apiToken;
+        this.onUnauthorized = onUnauthorized;
+        this.isRemote = true;
+
+        this.scheduler = new RequestScheduler({ concurrency: 4, ...TRELLO_RATE_LIMIT });
+        this.maxRetries = 4;
+        this.retryBaseMs = 1000;
+        this.retryMaxMs = 30000;
+    }
+
+    // A 429 was not processed, so anything can be sent again. A 5xx may come
+    // after Trello already did the work: only methods that are safe to repeat
+    // are retried then, or a POST would create the card or comment twice.
+    isRetryableStatus(status, method = 'GET') {
+        if (status === 429) return true;
+        return status >= 500 && ['GET', 'PUT', 'DELETE'].includes(method.toUpperCase());
+    }
+
+    // Retry-After (seconds or HTTP date) when Trello sends it, otherwise
+    // exponential backoff with jitter so parallel retries spread out
+    getRetryDelay(response, attempt) {
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            if (!Number.isNaN(seconds)) return seconds * 1000;
+
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+        }
+
+        const ceiling = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    // Every request to Trello goes through here. Network errors are not retried:
+    // the app queues the change and replays it when the connection is back.
+    async sendRequest(endpoint, send, method = 'GET') {
+        for (let attempt = 0; ; attempt++) {
+            const response = await this.scheduler.schedule(send);
+
+            if (!this.isRetryableStatus(response.status, method) || attempt >= this.maxRetries) {
+                return response;
+            }
+
+            const delay = this.getRetryDelay(response, attempt);
+            console.warn(`⏳ Trello ${response.status} en ${endpoint}, reintento ${attempt + 1}/${this.maxRetries} en ${Math.round(delay)} ms`);
+
+            if (response.status === 429) {
+                this.scheduler.pauseUntil(Date.now() + delay);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    async trelloFetch(endpoint, options = {}) {
+        const url = new URL(`https://api.trello.com/1${endpoint}`);
+        url.searchParams.append('key', this.apiKey);
+        url.searchParams.append('token', this.apiToken);
+
+        console.log(`🌐 Trello API: ${options.method || 'GET'} ${endpoint}`);
+
+        try {
+            const response = await this.sendRequest(endpoint, () => fetch(url.toString(), {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                }
+            }), options.method);
+
+            console.log(`📡 Respuesta: ${response.status} ${response.statusText}`);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`❌ Error de API:`, errorText);
+
+                if (response.status === 401) {
+                    this.onUnauthorized();
+                    throw new Error('Sesión expirada');
+                }
+                const error = new Error(`Error ${response.status}: ${errorText}`);
+                error.status = response.status;
+                error.method = options.method || 'GET';
+                throw error;
+            }
+
+            const data = await response.json();
+            console.log(`✅ Datos recibidos:`, data);
+            return data;
+        } catch (error) {
+            console.error(`💥 Error en fetch:`, error);
+            throw error;
+        }
+    }
+
+    async getBoards() {
+        return this.trelloFetch('/members/me/boards?fields=name,url,prefs');
+    }
+
+    async getBoard(boardId) {
+        return this.trelloFetch(`/boards/${boardId}?fields=name,url,prefs,desc`);
+    }
+
+    async getLists(boardId) {
+        return this.trelloFetch(`/boards/${boardId}/lists?fields=name,pos`);
+    }
+
+    async getCards(boardId) {
+        return this.trelloFetch(`/boards/${boardId}/cards?fields=name,idList,idLabels,pos,desc,dateLastActivity&attachments=true&attachment_fields=url,name,mimeType,previews`);
+    }
+
+    async getArchivedCards(boardId) {
+        return this.trelloFetch(`/boards/${boardId}/cards/closed?fields=name,idList,idLabels,pos,desc,dateLastActivity,closed&attachments=true&attachment_fields=url,name,mimeType,previews`);
+    }
+
+    async getBoardActions(boardId, sinceActionId, limit) {
+        return this.trelloFetch(`/boards/${boardId}/actions?filter=${BOARD_DELTA_ACTION_TYPES.join(',')}&since=${sinceActionId}&limit=${limit}&fields=type,data,date`);
+    }
+
+    async getLatestBoardActionId(boardId) {
+        const [latest] = await this.trelloFetch(`/boards/${boardId}/actions?filter=${BOARD_DELTA_ACTION_TYPES.join(',')}&limit=1&fields=type`);
+        return latest?.id || null;
+    }
+
+    async getCardAttachments(cardId) {
+        return this.trelloFetch(`/cards/${cardId}/attachments?fields=all`);
+    }
+
+    async getLabels(boardId) {
+        return this.trelloFetch(`/boards/${boardId}/labels?fields=name,color`);
+    }
+
+    async createBoard(name) {
+        return this.trelloFetch('/boards', {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                defaultLists: false
+            })
+        });
+    }
+
+    async updateBoard(boardId, fields) {
+        return this.trelloFetch(`/boards/${boardId}`, {
+            method: 'PUT',
+            body: JSON.stringify(fields)
+        });
+    }
+
+    async createList(boardId, name, pos) {
+        return this.trelloFetch('/lists', {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                idBoard: boardId,
+                pos
+            })
+        });
+    }
+
+    async createLabel(boardId, name, color) {
+        return this.trelloFetch('/labels', {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                color,
+                idBoard: boardId
+            })
+        });
+    }
+
+    async createCard(listId, name, labelIds = [], desc = '') {
+        return this.trelloFetch('/cards', {
+            method: 'POST',
+            body: JSON.stringify({
+                name,
+                idList: listId,
+                idLabels: labelIds,
+                desc
+            })
+        });
+    }
+
+    async moveCard(cardId, listId) {
+        return this.trelloFetch(`/cards/${cardId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                idList: listId
+            })
+        });
+    }
+
+    async getCard(cardId) {
+        return this.trelloFetch(`/cards/${cardId}?fields=name,idList,idLabels,pos,desc,dateLastActivity,closed&attachments=true&attachment_fields=url,name,mimeType,previews`);
+    }
+
+    async getCardState(cardId) {
+        return this.trelloFetch(`/cards/${cardId}?fields=name,idList,idLabels,desc,dateLastActivity,closed`);
+    }
+
+    async updateCard(cardId, fields) {
+        return this.trelloFetch(`/cards/${cardId}`, {
+            method: 'PUT',
+            body: JSON.stringify(fields)
+        });
+    }
+
+    async deleteCard(cardId) {
+        return this.trelloFetch(`/cards/${cardId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async deleteCardAttachment(cardId, attachmentId) {
+        return this.trelloFetch(`/cards/${cardId}/attachments/${attachmentId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async addCardComment(cardId, text) {
+        return this.trelloFetch(`/cards/${cardId}/actions/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ text })
+        });
+    }
+
+    // `actionId` is the id addCardComment returned
+    async deleteCardComment(actionId) {
+        return this.trelloFetch(`/actions/${actionId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getCardActions(cardId) {
+        return this.trelloFetch(`/cards/${cardId}/actions?filter=commentCard&fields=data,date&memberCreator_fields=fullName,username&limit=30`);
+    }
+
+    // Newest first; data.card.id tells which card each comment belongs to.
+    // Trello returns at most 1000: `before` (an action id) pages further back.
+    async getBoardComments(boardId, limit = 1000, before = null) {
+        const page = before ? `&before=${before}` : '';
+        return this.trelloFetch(`/boards/${boardId}/actions?filter=commentCard&fields=data,date&memberCreator=false&limit=${limit}${page}`);
+    }
+
+    async updateCardLabels(cardId, labelIds) {
+        return this.trelloFetch(`/cards/${cardId}/idLabels`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                value: labelIds.join(',')
+            })
+        });
+    }
+
+    async addAttachmentToCard(cardId, file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('key', this.apiKey);
+        formData.append('token', this.apiToken);
+
+        const endpoint = `/cards/${cardId}/attachments`;
+        const response = await this.sendRequest(endpoint, () => fetch(`https://api.trello.com/1${endpoint}`, {
+            method: 'POST',
+            body: formData
+        }), 'POST');
+
+        if (!response.ok) {
+            const error = new Error('Error subiendo imagen');
+            error.status = response.status;
+            error.method = 'POST';
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    async setCoverImage(cardId, attachmentId) {
+        return this.trelloFetch(`/cards/${cardId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                idAttachmentCover: attachmentId
+            })
+        });
+    }
+}
+
+// Record kinds kept by LocalBackend in the storage "local" object store
+const LOCAL_BACKEND_KINDS = ['boards', 'lists', 'labels', 'cards', 'actions'];
+
+class LocalBackend {
+    constructor(storage) {
+        this.storage = storage;
+        this.isRemote = false;
+        this.dataPromise = null;
+    }
+
+    // Everything is read once into memory; writes go to both
+    load() {
+        if (!this.dataPromise) {
+            this.dataPromise = Promise.all(LOCAL_BACKEND_KINDS.map(kind => this.storage.getLocalRecords(kind)))
+                .then(results => Object.fromEntries(LOCAL_BACKEND_KINDS.map((kind, index) => [
+                    kind,
+                    new Map(results[index].map(record => [record.id, record]))
+                ])))
+                .catch(error => {
+                    this.dataPromise = null;
+                    throw error;
+                });
+        }
+        return this.dataPromise;
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Time-ordered hex IDs, like Trello's, so sorting by ID sorts by creation
+    createId() {
+        const random = Array.from({ length: 12 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+        return Date.now().toString(16).padStart(12, '0') + random;
+    }
+
+    async find(kind, id) {
+        const data = await this.load();
+        const record = data[kind].get(id);
+        if (!record) {
+            const error = new Error(`Error 404: ${kind}/${id} no existe`);
+            error.status = 404;
+            throw error;
+        }
+        return record;
+    }
+
+    async list(kind, predicate) {
+        const data = await this.load();
+        return [...data[kind].values()].filter(predicate).map(record => this.clone(record));
+    }
+
+    async save(kind, record) {
+        const data = await this.load();
+        data[kind].set(record.id, record);
+        await this.storage.putLocalRecord(kind, record);
+        return this.clone(record);
+    }
+
+    async remove(kind, id) {
+        const data = await this.load();
+        data[kind].delete(id);
+        await this.storage.deleteLocalRecord(kind, id);
+    }
+
+    readFileAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async getBoards() {
+        return this.list('boards', () => true);
+    }
+
+    async getBoard(boardId) {
+        return this.clone(await this.find('boards', boardId));
+    }
+
+    async getLists(boardId) {
+        const lists = await this.list('lists', list => list.idBoard === boardId);
+        return lists.sort((a, b) => a.pos - b.pos);
+    }
+
+    async getCards(boardId) {
+        const cards = await this.list('cards', card => card.idBoard === boardId && !card.closed);
+        return cards.sort((a, b) => a.pos - b.pos);
+    }
+
+    async getArchivedCards(boardId) {
+        const cards = await this.list('cards', card => card.idBoard === boardId && card.closed);
+        return cards.sort((a, b) => a.pos - b.pos);
+    }
+
+    // Nothing changes behind the app's back on this device
+    async getBoardActions() {
+        return [];
+    }
+
+    async getLatestBoardActionId() {
+        return null;
+    }
+
+    async getCardAttachments(cardId) {
+        return this.clone((await this.find('cards', cardId)).attachments || []);
+    }
+
+    async getLabels(boardId) {
+        return this.list('labels', label => label.idBoard === boardId);
+    }
+
+    async createBoard(name) {
+        return this.save('boards', {
+            id: this.createId(),
+            name,
+            url: '',
+            prefs: { backgroundColor: '#0079BF' }
+        });
+    }
+
+    async updateBoard(boardId, fields) {
+        const board = await this.find('boards', boardId);
+        return this.save('boards', { ...board, ...this.clone(fields) });
+    }
+
+    async createList(boardId, name, pos) {
+        return this.save('lists', { id: this.createId(), name, pos, idBoard: boardId });
+    }
+
+    async createLabel(boardId, name, color) {
+        return this.save('labels', { id: this.createId(), name, color, idBoard: boardId });
+    }
+
+    async createCard(listId, name, labelIds = [], desc = '') {
+        const list = await this.find('lists', listId);
+        return this.save('cards', {
+            id: this.createId(),
+            name,
+            desc,
+            idList: listId,
+            idBoard: list.idBoard,
+            idLabels: [...labelIds],
+            pos: Date.now(),
+            closed: false,
+            attachments: [],
+            dateLastActivity: new Date().toISOString()
+        });
+    }
+
+    async moveCard(cardId, listId) {
+        return this.updateCard(cardId, { idList: listId });
+    }
+
+    async getCard(cardId) {
+        return this.clone(await this.find('cards', cardId));
+    }
+
+    async getCardState(cardId) {
+        return this.getCard(cardId);
+    }
+
+    async updateCard(cardId, fields) {
+        const card = await this.find('cards', cardId);
+        return this.save('cards', {
+            ...card,
+            ...this.clone(fields),
+            dateLastActivity: new Date().toISOString()
+        });
+    }
+
+    async deleteCard(cardId) {
+        await this.find('cards', cardId);
+        const actions = await this.list('actions', action => action.idCard === cardId);
+        for (const action of actions) {
+            await this.remove('actions', action.id);
+        }
+        await this.remove('cards', cardId);
+        return {};
+    }
+
+    async deleteCardAttachment(cardId, attachmentId) {
+        const card = await this.find('cards', cardId);
+        await this.updateCard(cardId, {
+            attachments: (card.attachments || []).filter(a => a.id !== attachmentId)
+        });
+        return {};
+    }
+
+    async addCardComment(cardId, text) {
+        const card = await this.find('cards', cardId);
+        return this.save('actions', {
+            id: this.createId(),
+            idCard: cardId,
+            type: 'commentCard',
+            date: new Date().toISOString(),
+            data: {
+                text,
+                card: { id: cardId, name: card.name }
+            }
+        });
+    }
+
+    async deleteCardComment(actionId) {
+        await this.find('actions', actionId);
+        await this.remove('actions', actionId);
+        return {};
+    }
+
+    async getCardActions(cardId) {
+        const actions = await this.list('actions', action => action.idCard === cardId && action.type === 'commentCard');
+        return actions
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, 30);
+    }
+
+    async getBoardComments(boardId, limit = 1000, before = null) {
+        const data = await this.load();
+        const actions = await this.list('actions', action =>
+            action.type === 'commentCard' && data.cards.get(action.idCard)?.idBoard === boardId
+        );
+        actions.sort((a, b) => b.date.localeCompare(a.date));
+
+        const start = before ? actions.findIndex(action => action.id === before) + 1 : 0;
+        return actions.slice(start, start + limit);
+    }
+
+    async updateCardLabels(cardId, labelIds) {
+        return this.updateCard(cardId, { idLabels: labelIds });
+    }
+
+    async addAttachmentToCard(cardId, file) {
+        const card = await this.find('cards', cardId);
+        const attachment = {
+            id: this.createId(),
+            name: file.name,
+            mimeType: file.type,
+            url: await this.readFileAsDataUrl(file),
+            previews: [],
+            date: new Date().toISOString()
+        };
+        await this.updateCard(cardId, {
+            attachments: [...(card.attachments || []), attachment]
+        });
+        return this.clone(attachment);
+    }
+
+    async setCoverImage(cardId, attachmentId) {
+        return this.updateCard(cardId, { idAttachmentCover: attachmentId });
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * IndexedDB storage for the shopping list
+ *
+ * Object stores:
+ * - boards: board, lists, labels and newest applied action ID, one record per board
+ * - cards: one record per card ({ boardId, id, order, card }) so a toggle only rewrites that card
+ * - queues: pending offline changes per board ({ boardId, name, items }), name = operations | moves | history
+ * - meta: app-wide values ({ key, value }), e.g. recent products, the migration flag and
+ *   the credentials and board sw.js replays the queues with (sync_context)
+ * - local: data of the local-only backend ({ kind, id, ... }), kind = boards | lists | labels | cards | actions
+ *
+ * Loaded by the page before app.js and by sw.js; keep it free of DOM access.
+ */
+
+const STORAGE_DB_NAME = 'shopping-list';
+
+// Background Sync tag registered by the page; sw.js replays the queues on it
+const BACKGROUND_SYNC_TAG = 'sync-pending-changes';
+const STORAGE_DB_VERSION = 2;
+
+// localStorage keys written by versions before IndexedDB, migrated once
+const LEGACY_QUEUE_PREFIXES = {
+    trello_pending_operations_: 'operations',
+    trello_pending_card_moves_: 'moves',
+    trello_pending_card_history_: 'history'
+};
+const LEGACY_BOARD_CACHE_PREFIX = 'trello_board_cache_';
+
+class ShoppingListStorage {
+    constructor() {
+        this.dbPromise = null;
+
+        // Last persisted JSON of every card, per board, to write only what changed
+        this.cardSnapshots = new Map();
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('boards')) {
+                    db.createObjectStore('boards', { keyPath: 'boardId' });
+                }
+                if (!db.objectStoreNames.contains('cards')) {
+                    const cards = db.createObjectStore('cards', { keyPath: ['boardId', 'id'] });
+                    cards.createIndex('boardId', 'boardId');
+                }
+                if (!db.objectStoreNames.contains('queues')) {
+                    db.createObjectStore('queues', { keyPath: ['boardId', 'name'] });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('local')) {
+                    db.createObjectStore('local', { keyPath: ['kind', 'id'] });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    // Runs `callback` synchronously inside one transaction and resolves once it commits.
+    // The callback must only queue IndexedDB requests: awaiting anything else would
+    // let the transaction auto-commit early.
+    async run(storeNames, mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const result = callback(tx);
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        return result instanceof IDBRequest ? result.result : result;
+    }
+
+    boardCardsRange(boardId) {
+        return IDBKeyRange.bound([boardId, ''], [boardId, '\uffff']);
+    }
+
+    // ==================== Board Cache ====================
+
+    async getBoardCache(boardId) {
+        let boardRequest;
+        let cardsRequest;
+
+        await this.run(['boards', 'cards'], 'readonly', tx => {
+            boardRequest = tx.objectStore('boards').get(boardId);
+            cardsRequest = tx.objectStore('cards').index('boardId').getAll(boardId);
+        });
+
+        const record = boardRequest.result;
+        if (!record) return null;
+
+        const cardRecords = cardsRequest.result.sort((a, b) => a.order - b.order);
+        this.cardSnapshots.set(boardId, new Map(cardRecords.map(r => [r.id, JSON.stringify([r.order, r.card])])));
+
+        return {
+            version: record.version,
+            cachedAt: record.cachedAt,
+            board: record.board,
+            lists: record.lists,
+            labels: record.labels,
+            lastActionId: record.lastActionId || null,
+            cards: cardRecords.map(r => r.card)
+        };
+    }
+
+    async saveBoardCache(boardId, { board, lists, cards, labels, lastActionId = null }) {
+        const previous = this.cardSnapshots.get(boardId);
+        const next = new Map();
+        this.cardSnapshots.set(boardId, next);
+
+        try {
+            await this.run(['boards', 'cards'], 'readwrite', tx => {
+                tx.objectStore('boards').put({
+                    boardId,
+                    version: 2,
+                    cachedAt: new Date().toISOString(),
+                    board,
+                    lists,
+                    labels,
+                    lastActionId
+                });
+
+                const cardStore = tx.objectStore('cards');
+
+                // Nothing known about what is stored yet: start from a clean slate
+                if (!previous) {
+                    cardStore.delete(this.boardCardsRange(boardId));
+                }
+
+                cards.forEach((card, order) => {
+                    const snapshot = JSON.stringify([order, card]);
+                    next.set(card.id, snapshot);
+                    if (previous?.get(card.id) !== snapshot) {
+                        cardStore.put({ boardId, id: card.id, order, card });
+                    }
+                });
+
+                previous?.forEach((snapshot, cardId) => {
+                    if (!next.has(cardId)) cardStore.delete([boardId, cardId]);
+                });
+            });
+        } catch (error) {
+            // Unknown state on disk: force a full rewrite next time
+            this.cardSnapshots.delete(boardId);
+            throw error;
+        }
+    }
+
+    // ==================== Pending Queues ====================
+
+    async getQueue(boardId, name) {
+        const record = await this.run(['queues'], 'readonly', tx => tx.objectStore('queues').get([boardId, name]));
+        return record?.items || [];
+    }
+
+    saveQueue(boardId, name, items) {
+        return this.run(['queues'], 'readwrite', tx => {
+            tx.objectStore('queues').put({
+                boardId,
+                name,
+                items,
+                updatedAt: new Date().toISOString()
+            });
+        });
+    }
+
+    // Several queues in one transaction, so moving an item from one to another
+    // cannot leave it in both or in neither
+    saveQueues(boardId, queues) {
+        return this.run(['queues'], 'readwrite', tx => {
+            Object.entries(queues).forEach(([name, items]) => {
+                tx.objectStore('queues').put({
+                    boardId,
+                    name,
+                    items,
+                    updatedAt: new Date().toISOString()
+                });
+            });
+        });
+    }
+
+    // ==================== Meta ====================
+
+    async getValue(key, fallback = null) {
+        const record = await this.run(['meta'], 'readonly', tx => tx.objectStore('meta').get(key));
+        return record ? record.value : fallback;
+    }
+
+    setValue(key, value) {
+        return this.run(['meta'], 'readwrite', tx => {
+            tx.objectStore('meta').put({ key, value });
+        });
+    }
+
+    // ==================== Local Backend ====================
+
+    async getLocalRecords(kind) {
+        const range = IDBKeyRange.bound([kind, ''], [kind, '\uffff']);
+        const records = await this.run(['local'], 'readonly', tx => tx.objectStore('local').getAll(range));
+        return records.map(({ kind: _kind, ...record }) => record);
+    }
+
+    putLocalRecord(kind, record) {
+        return this.run(['local'], 'readwrite', tx => {
+            tx.objectStore('local').put({ ...record, kind });
+        });
+    }
+
+    deleteLocalRecord(kind, id) {
+        return this.run(['local'], 'readwrite', tx => {
+            tx.objectStore('local').delete([kind, id]);
+        });
+    }
+
+    // ==================== Migration ====================
+
+    // Moves the board caches, pending queues and recent products that older
+    // versions kept in localStorage into IndexedDB, then deletes the old keys.
+    // Page only: service workers have no localStorage.
+    async migrateFromLocalStorage() {
+        if (await this.getValue('localStorageMigratedAt')) return;
+
+        const parse = key => {
+            try {
+                return JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+
+        const migratedKeys = [];
+
+        await this.run(['boards', 'cards', 'queues', 'meta'], 'readwrite', tx => {
+            keys.forEach(key => {
+                if (key.startsWith(LEGACY_BOARD_CACHE_PREFIX)) {
+                    const boardId = key.slice(LEGACY_BOARD_CACHE_PREFIX.length);
+                    const cache = parse(key);
+                    if (cache?.board) {
+                        tx.objectStore('boards').put({
+                            boardId,
+                            version: 2,
+                            cachedAt: cache.cachedAt,
+                            board: cache.board,
+                            lists: cache.lists || [],
+                            labels: cache.labels || []
+                        });
+                        (cache.cards || []).forEach((card, order) => {
+                            tx.objectStore('cards').put({ boardId, id: card.id, order, card });
+                        });
+                    }
+                    migratedKeys.push(key);
+                    return;
+                }
+
+                const prefix = Object.keys(LEGACY_QUEUE_PREFIXES).find(p => key.startsWith(p));
+                if (prefix) {
+                    const items = parse(key);
+                    if (Array.isArray(items) && items.length > 0) {
+                        tx.objectStore('queues').put({
+                            boardId: key.slice(prefix.length),
+                            name: LEGACY_QUEUE_PREFIXES[prefix],
+                            items,
+                            updatedAt: new Date().toISOString()
+                        });
+                    }
+                    migratedKeys.push(key);
+                }
+            });
+
+            const recentProducts = parse('recent_products');
+            if (Array.isArray(recentProducts)) {
+                tx.objectStore('meta').put({ key: 'recent_products', value: recentProducts });
+                migratedKeys.push('recent_products');
+            }
+
+            tx.objectStore('meta').put({ key: 'localStorageMigratedAt', value: new Date().toISOString() });
+        });
+
+        migratedKeys.forEach(key => localStorage.removeItem(key));
+        console.log('📦 Datos locales migrados a IndexedDB:', migratedKeys.length);
+    }
+}
@@ -1,7 +1,12 @@
-const CACHE_NAME = 'shopping-list-shell-v2';
+importScripts('storage.js', 'backends.js');
+
+const CACHE_NAME = 'shopping-list-shell-v6';
 const APP_SHELL = [
     './',
     './index.html',
+    './storage.js',
+    './backends.js',
+    './zip.js',
     './app.js',
     './manifest.json',
     './icon-192.png',
@@ -69,3 +74,86 @@ self.addEventListener('fetch', event => {
             .catch(() => caches.match(request))
     );
 });
+
+// ==================== Background Sync ====================
+
+// Replays the pending moves and history comments the page left in IndexedDB.
+// Anything that needs the app (queued creates/edits, cards with a local ID,
+// moves that conflict with a change made on Trello) stops the replay and is
+// left in the queue for the next time the app is opened.
+async function replayPendingChanges() {
+    const storage = new ShoppingListStorage();
+    const context = await storage.getValue('sync_context');
+    if (!context) return;
+
+    const { boardId } = context;
+    const backend = new TrelloBackend({ apiKey: context.apiKey, apiToken: context.apiToken });
+
+    const operations = await storage.getQueue(boardId, 'operations');
+    if (operations.length > 0) return;
+
+    const moves = await storage.getQueue(boardId, 'moves');
+    const history = await storage.getQueue(boardId, 'history');
+
+    while (moves.length > 0) {
+        const move = moves[0];
+        if (move.cardId.startsWith('local-')) return;
+
+        const server = await backend.getCardState(move.cardId);
+        if (server.idList !== move.targetListId) {
+            const remoteActivity = !move.base?.dateLastActivity || server.dateLastActivity !== move.base.dateLastActivity;
+            if (move.base && remoteActivity && server.idList !== move.base.idList) return;
+
+            await backend.moveCard(move.cardId, move.targetListId);
+        }
+
+        moves.shift();
+        if (move.history && !move.history.undone) history.push(move.history);
+        await storage.saveQueues(boardId, { moves, history });
+        console.log('✅ Cambio offline sincronizado en segundo plano:', move);
+    }
+
+    while (history.length > 0 && history[0].comment) {
+        const entry = history[0];
+        if (entry.cardId.startsWith('local-')) return;
+
+        // Taken back with the undo snackbar after it was queued
+        if (!entry.undone) await backend.addCardComment(entry.cardId, entry.comment);
+        history.shift();
+        await storage.saveQueue(boardId, 'history', history);
+    }
+}
+
+async function handleBackgroundSync() {
+    // An open window syncs on its own; replaying here too would race with it
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: BACKGROUND_SYNC_TAG }));
+        return;
+    }
+
+    try {
+        await replayPendingChanges();
+    } catch (error) {
+        console.warn('Sincronización en segundo plano incompleta:', error);
+
+        // Rejecting makes the browser retry the sync later. Trello refusing a
+        // change is not going to improve with retries, and a comment POST that
+        // got a 5xx may already be posted, so those are left to the app
+        if (error.name === 'TypeError' || (error.status && TrelloBackend.prototype.isRetryableStatus(error.status, error.method))) {
+            throw error;
+        }
+    }
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(handleBackgroundSync());
+    }
+});
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(handleBackgroundSync());
+    }
+});
@@ -0,0 +1,161 @@
+/**
+ * Minimal ZIP archives for the full backup
+ *
+ * createZip stores entries uncompressed (method 0): most of a backup is JPEG or
+ * PNG images that deflate would not make smaller. readZip accepts stored and
+ * deflated (method 8) entries, so an archive the user re-zipped with their OS
+ * still restores. No ZIP64: archives and entries must stay under 4 GB.
+ *
+ * Loaded by the page before app.js; keep it free of DOM access.
+ */
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+
+// General purpose flag bit 11: file names are UTF-8 (product names have accents)
+const ZIP_UTF8_FLAG = 0x0800;
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function zipCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time, the only timestamps the base format has
+function zipDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        day: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+async function zipEntryBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    return data;
+}
+
+// files: [{ name, data }] with data a string, Blob or Uint8Array. Resolves to a Blob.
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = zipDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = await zipEntryBytes(file.data);
+        const crc = zipCrc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, ZIP_LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, ZIP_CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, ZIP_UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+
+        offset += 30 + name.length + data.length;
+        centralSize += 46 + name.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, ZIP_END_SIGNATURE, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+async function zipInflate(data, method) {
+    if (method === 0) return new Blob([data]);
+    if (method === 8 && typeof DecompressionStream !== 'undefined') {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).blob();
+    }
+    throw new Error(`Compresión ZIP no soportada (método ${method})`);
+}
+
+// Resolves to a Map of file name -> Blob (folders are left out)
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record is the last thing in the file, followed only by a comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === ZIP_END_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('El archivo no es un ZIP válido');
+
+    const decoder = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('El archivo ZIP está dañado');
+        }
+
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // The local header can carry a different extra field than the central one
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.set(name, await zipInflate(bytes.subarray(dataStart, dataStart + compressedSize), method));
+    }
+
+    return entries;
+}